@@ -2,3 +2,14 @@ module.exports.PM2Tracker = require('./lib/PM2Tracker');
 module.exports.PM2ZabbixMonitor = require('./lib/PM2ZabbixMonitor');
 module.exports.ZabbixDataProvider = require('./lib/ZabbixDataProvider');
 module.exports.ProcessState = require('./lib/ProcessState');
+module.exports.ZabbixNativeSender = require('./lib/ZabbixNativeSender');
+module.exports.ProcessFilter = require('./lib/ProcessFilter');
+module.exports.ErrorLogCollector = require('./lib/ErrorLogCollector');
+module.exports.OfflineQueue = require('./lib/OfflineQueue');
+module.exports.TemplateGenerator = require('./lib/TemplateGenerator');
+module.exports.ZabbixAgentListener = require('./lib/ZabbixAgentListener');
+module.exports.RestartHistory = require('./lib/RestartHistory');
+module.exports.ValueThrottle = require('./lib/ValueThrottle');
+module.exports.MetricMapper = require('./lib/MetricMapper');
+module.exports.PrometheusSink = require('./lib/PrometheusSink');
+module.exports.StatsDSink = require('./lib/StatsDSink');
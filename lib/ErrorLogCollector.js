@@ -0,0 +1,85 @@
+/**
+ * An ErrorLogCollector decides which error output of PM2-managed processes gets forwarded to Zabbix, and counts errors.
+ * Lines are matched against a list of patterns, truncated to a maximum length, and rate-limited per process,
+ *  so that an error storm does not flood the Zabbix server. All matching lines are counted, including those over the rate limit.
+ * Counting and rate-limiting happen in intervals, which are ended by calling takeCounts().
+ * @constructor
+ * @param {Object} [options] - Collector settings.
+ * @param {string[]} [options.patterns=[]] - Regular expressions (as strings) that a line must match to be forwarded and counted. If empty, every line matches.
+ * @param {number} [options.maxLength=1024] - Lines longer than this many characters are truncated.
+ * @param {number} [options.maxPerInterval=20] - How many lines may be forwarded per process in one interval. Further lines are only counted.
+ * @throws {Error} If any of the patterns is not a valid regular expression.
+ */
+function ErrorLogCollector(options) {
+	options = options || {};
+	this._patterns = (options.patterns || []).map(function(pattern) {
+		try {
+			return new RegExp(pattern);
+		}
+		catch (error) {
+			throw new Error('Invalid error log pattern ' + pattern + ': ' + error.message);
+		}
+	});
+	this._maxLength = options.maxLength || 1024;
+	this._maxPerInterval = options.maxPerInterval || 20;
+	/**
+	 * Per-process statistics for the current interval.
+	 * @type {Object.<string,{count: number, forwarded: number, suppressed: number}>}
+	 */
+	this._stats = {};
+}
+
+/**
+ * Record an error output chunk of a process. The chunk is split into lines, and each line is matched, counted and rate-limited.
+ * @param {string} processID - Synthetic ID of the process that produced the output.
+ * @param {string} text - The output, possibly spanning several lines.
+ * @returns {string[]} The lines to forward to Zabbix, already truncated. May be empty.
+ */
+ErrorLogCollector.prototype.record = function record(processID, text) {
+	var self = this;
+	var stats = self._stats[processID] = self._stats[processID] || { count: 0, forwarded: 0, suppressed: 0 };
+
+	return String(text).split(/\r?\n/).filter(function(line) {
+		if (line.trim() === '' || !self._matches(line)) {
+			return false;
+		}
+		stats.count += 1;
+		if (stats.forwarded >= self._maxPerInterval) {
+			stats.suppressed += 1;
+			return false;
+		}
+		stats.forwarded += 1;
+		return true;
+	}).map(function(line) {
+		return (line.length > self._maxLength) ? line.slice(0, self._maxLength) + ' [truncated]' : line;
+	});
+};
+
+/**
+ * Check a line against the configured patterns.
+ * @param {string} line - A single line of error output.
+ * @returns {boolean}
+ */
+ErrorLogCollector.prototype._matches = function _matches(line) {
+	return this._patterns.length === 0 || this._patterns.some(function(pattern) {
+		return pattern.test(line);
+	});
+};
+
+/**
+ * End the current interval: return the per-process statistics and start counting from zero.
+ * @returns {Object.<string,{count: number, suppressed: number}>} For each process that produced matching errors in the interval,
+ *  the number of matching lines and how many of them were not forwarded due to the rate limit.
+ */
+ErrorLogCollector.prototype.takeCounts = function takeCounts() {
+	var stats = this._stats;
+	this._stats = {};
+
+	var counts = {};
+	Object.keys(stats).forEach(function(processID) {
+		counts[processID] = { count: stats[processID].count, suppressed: stats[processID].suppressed };
+	});
+	return counts;
+};
+
+module.exports = ErrorLogCollector;
@@ -0,0 +1,232 @@
+var items = require('./items');
+
+/**
+ * Suffixes that the Prometheus naming conventions ask for, by the Zabbix units of an item.
+ * @type {Object.<string,string>}
+ */
+var UNIT_SUFFIXES = {
+	'%': '_percent',
+	'B': '_bytes',
+	's': '_seconds',
+	'uptime': '_seconds',
+	'unixtime': '_timestamp_seconds'
+};
+
+/**
+ * Index item definitions by their item name.
+ * @param {ItemDefinition[]} definitions - The item definitions.
+ * @returns {Object.<string,ItemDefinition>}
+ */
+function indexByItem(definitions) {
+	var index = {};
+	definitions.forEach(function(definition) {
+		index[definition.item] = definition;
+	});
+	return index;
+}
+
+var PROCESS_DEFINITIONS = indexByItem(items.PROCESS_ITEMS);
+var APP_DEFINITIONS = indexByItem(items.APP_ITEMS);
+var MANAGER_DEFINITIONS = indexByItem(items.MANAGER_ITEMS);
+var SELF_DEFINITIONS = indexByItem(items.SELF_ITEMS);
+
+/**
+ * Turn a list of entries or a map of values, as passed to a data provider's send(), into a list of entries.
+ * @param {(Object.<string,*>|ZabbixDataProvider.Entry[])} values - The values.
+ * @returns {ZabbixDataProvider.Entry[]}
+ */
+function toEntries(values) {
+	if (Array.isArray(values)) {
+		return values;
+	}
+	return Object.keys(values).map(function(key) {
+		return { key: key, value: values[key] };
+	});
+}
+
+/**
+ * A value translated for a monitoring system with named metrics and labels, such as Prometheus.
+ * @typedef {Object} MetricMapper.Sample
+ * @property {string} name - The metric name, e.g. "pm2_process_memory_bytes".
+ * @property {Object.<string,string>} labels - The labels identifying the series, e.g. { app: "api", pm_id: "0" }.
+ * @property {(number|string)} value - The value. A string for "info" samples, and a number otherwise.
+ * @property {string} type - "gauge", "counter", or "info" for text values, which are exposed as a label (named by valueLabel) of a constant 1.
+ * @property {string} [valueLabel] - For "info" samples, the name of the label that carries the value.
+ * @property {string} help - A description of the metric.
+ */
+
+/**
+ * A MetricMapper translates the values that pm2-zabbix sends, which are identified by Zabbix item keys, into metrics with names and labels
+ *  that follow the conventions of Prometheus: "pm2.processes[api-0,memory]" becomes "pm2_process_memory_bytes{app="api",pm_id="0"}".
+ * Process, application, custom metric, PM2 daemon and pm2-zabbix items are translated; anything else (such as error lines or discovery data) is not.
+ * The labels of processes and applications are taken from the discovery items registered with the mapper, which carry the process name
+ *  and the PM2 instance. Sinks pass their discovery items on to it, so that it learns about processes along with the data provider.
+ * @constructor
+ */
+function MetricMapper() {
+	/**
+	 * The discovered processes and applications with their labels, keyed by discovery list name and by (instance-qualified) process ID or application name.
+	 * @type {Object.<string,Object.<string,{item: Object, labels: Object.<string,string>}>>}
+	 */
+	this._discovered = { processes: {}, apps: {} };
+}
+
+/**
+ * Build the labels common to all series: the PM2 instance, if any.
+ * @param {Object} item - A discovery item.
+ * @returns {Object.<string,string>}
+ */
+function instanceLabels(item) {
+	return item['{#PM2_INSTANCE}'] ? { instance: item['{#PM2_INSTANCE}'] } : {};
+}
+
+/**
+ * Learn the labels of a discovered process or application. Items of other discovery lists are ignored.
+ * @param {Object} item - The discovery item, as passed to ZabbixDataProvider#addDiscoveryItem().
+ * @param {string} [listName="processes"] - The discovery list that the item belongs to.
+ */
+MetricMapper.prototype.addDiscoveryItem = function addDiscoveryItem(item, listName) {
+	listName = listName || 'processes';
+	var instancePrefix = item['{#PM2_INSTANCE}'] ? item['{#PM2_INSTANCE}'] + ':' : '';
+	if (listName === 'processes') {
+		var processID = item['{#PROCESS_ID}'];
+		// Synthetic process IDs are made of the process name and the pm_id (or the stable number that replaces it, see PM2Tracker's "identity" option).
+		this._discovered.processes[processID] = {
+			item: item,
+			labels: Object.assign({
+				app: item['{#PROCESS_NAME}'],
+				pm_id: processID.slice(instancePrefix.length + String(item['{#PROCESS_NAME}']).length + 1)
+			}, instanceLabels(item))
+		};
+	}
+	else if (listName === 'apps') {
+		var appName = item['{#APP_NAME}'];
+		this._discovered.apps[appName] = {
+			item: item,
+			labels: Object.assign({ app: appName.slice(instancePrefix.length) }, instanceLabels(item))
+		};
+	}
+};
+
+/**
+ * Forget discovered processes or applications, matching them the same way as ZabbixDataProvider#removeDiscoveryItems().
+ * @param {Object} removalSpecification - A key-value map to compare discovery items against.
+ * @param {string} [listName="processes"] - The discovery list to remove items from.
+ */
+MetricMapper.prototype.removeDiscoveryItems = function removeDiscoveryItems(removalSpecification, listName) {
+	var discovered = this._discovered[listName || 'processes'];
+	if (!discovered) {
+		return;
+	}
+	Object.keys(discovered).forEach(function(id) {
+		var matches = Object.keys(removalSpecification).every(function(removalKey) {
+			return removalSpecification[removalKey] === discovered[id].item[removalKey];
+		});
+		if (matches) {
+			delete discovered[id];
+		}
+	});
+};
+
+/**
+ * Get the labels of a process. Processes that have not been discovered are labelled by taking their ID apart.
+ * @param {string} processID - The (possibly instance-qualified) process ID.
+ * @returns {Object.<string,string>}
+ */
+MetricMapper.prototype._getProcessLabels = function _getProcessLabels(processID) {
+	if (this._discovered.processes[processID]) {
+		return Object.assign({}, this._discovered.processes[processID].labels);
+	}
+	var match = /^(.*)-(\d+)$/.exec(processID);
+	return match ? { app: match[1], pm_id: match[2] } : { app: processID };
+};
+
+/**
+ * Get the labels of an application.
+ * @param {string} appName - The (possibly instance-qualified) application name.
+ * @returns {Object.<string,string>}
+ */
+MetricMapper.prototype._getAppLabels = function _getAppLabels(appName) {
+	var discovered = this._discovered.apps[appName];
+	return discovered ? Object.assign({}, discovered.labels) : { app: appName };
+};
+
+/**
+ * Build a sample out of an item definition.
+ * @param {string} prefix - The metric name prefix, e.g. "pm2_process_".
+ * @param {ItemDefinition} definition - The definition of the item.
+ * @param {Object.<string,string>} labels - The labels of the series.
+ * @param {*} value - The value as sent to Zabbix.
+ * @returns {?MetricMapper.Sample} The sample, or null if the value cannot be represented.
+ */
+function toSample(prefix, definition, labels, value) {
+	if (!definition || definition.valueType === 'log') {
+		return null;
+	}
+	var baseName = prefix + definition.item.replace(/\./g, '_');
+	if (definition.valueType === 'char' || definition.valueType === 'text') {
+		return { name: baseName + '_info', labels: labels, value: String(value), type: 'info', valueLabel: definition.item.split('.').pop(), help: definition.name };
+	}
+
+	var numericValue = Number(value);
+	if (value === null || value === '' || !isFinite(numericValue)) {
+		return null;
+	}
+	var name = baseName + (UNIT_SUFFIXES[definition.units] || '');
+	if (definition.counter) {
+		return { name: name + '_total', labels: labels, value: numericValue, type: 'counter', help: definition.name };
+	}
+	return { name: name, labels: labels, value: numericValue, type: 'gauge', help: definition.name };
+}
+
+/**
+ * Translate a single value.
+ * @param {string} key - The Zabbix item key.
+ * @param {*} value - The value.
+ * @returns {?MetricMapper.Sample} The sample, or null if the key is not translated or the value cannot be represented.
+ */
+MetricMapper.prototype.map = function map(key, value) {
+	var parsedKey;
+	try {
+		parsedKey = items.parseKey(key);
+	}
+	catch (error) {
+		return null;
+	}
+	var name = parsedKey.name;
+	var parameters = parsedKey.parameters;
+
+	if (name === 'pm2.processes' && parameters.length === 2) {
+		return toSample('pm2_process_', PROCESS_DEFINITIONS[parameters[1]], this._getProcessLabels(parameters[0]), value);
+	}
+	if (name === 'pm2.apps' && parameters.length === 2) {
+		return toSample('pm2_app_', APP_DEFINITIONS[parameters[1]], this._getAppLabels(parameters[0]), value);
+	}
+	if (name === 'pm2.metrics' && parameters.length === 2) {
+		var metricLabels = Object.assign(this._getProcessLabels(parameters[0]), { metric: parameters[1] });
+		return toSample('pm2_process_', { item: 'metric', name: 'Custom metric', valueType: 'float' }, metricLabels, value);
+	}
+	if (SELF_DEFINITIONS[name] && parameters.length === 0) {
+		return toSample('', SELF_DEFINITIONS[name], {}, value);
+	}
+	if (name.indexOf('pm2.') === 0 && parameters.length <= 1) {
+		return toSample('pm2_daemon_', MANAGER_DEFINITIONS[name.slice('pm2.'.length)], parameters[0] ? { instance: parameters[0] } : {}, value);
+	}
+	return null;
+};
+
+/**
+ * Translate all values that can be translated.
+ * @param {(Object.<string,*>|ZabbixDataProvider.Entry[])} values - A map of values, or a list of entries, as passed to a data provider's send().
+ * @returns {MetricMapper.Sample[]}
+ */
+MetricMapper.prototype.mapValues = function mapValues(values) {
+	var self = this;
+	return toEntries(values).map(function(entry) {
+		return self.map(entry.key, entry.value);
+	}).filter(function(sample) {
+		return sample !== null;
+	});
+};
+
+module.exports = MetricMapper;
@@ -0,0 +1,202 @@
+var fs = require('fs');
+var when = require('when');
+var nodefn = require('when/node');
+
+var nullLogger = require('./nullLogger');
+
+/**
+ * An OfflineQueue holds batches of values that could not be sent to Zabbix, so that they can be sent later, in order.
+ * Each batch keeps the time at which it was originally meant to be sent.
+ * The queue is bounded both by size and by age: when full, the oldest batches are dropped, and batches older than the maximum age
+ *  are dropped as well, since Zabbix is of little use for data that arrives very late.
+ * The queue lives in memory. If a file is given, it is also written there and loaded back when constructed, so that queued data survives a restart of pm2-zabbix.
+ *  The file is written in the background, shortly after the queue changes, so that the changes of a busy moment result in one write. Call flush() before exiting.
+ * @constructor
+ * @param {Object} [options] - Queue settings.
+ * @param {number} [options.maxSize=1000] - The maximum number of batches to keep.
+ * @param {number} [options.maxAge=86400000] - The maximum age (ms) of a batch. Older batches are dropped.
+ * @param {string} [options.file] - A file to persist the queue in.
+ * @param {number} [options.saveDelay=1000] - For how long (ms) changes are collected before the file is written.
+ * @param {Object} [options.logger] - A bunyan-compatible logger, used for reporting problems with the queue file.
+ */
+function OfflineQueue(options) {
+	options = options || {};
+	this._maxSize = options.maxSize || 1000;
+	this._maxAge = options.maxAge || 24 * 60 * 60 * 1000;
+	this._file = options.file || null;
+	this._logger = options.logger || nullLogger;
+	this._saveDelay = options.saveDelay || 1000;
+	/**
+	 * The timer that writes the file once changes have been collected.
+	 * @type {?Object}
+	 */
+	this._saveTimer = null;
+	/**
+	 * The promise of the write of the file in progress, if any.
+	 * @type {?Promise}
+	 */
+	this._saving = null;
+	/**
+	 * Whether the queue has changed since the file was last written.
+	 * @type {boolean}
+	 */
+	this._changed = false;
+	/**
+	 * The queued batches, oldest first.
+	 * @type {Array.<{values: (Object.<string,*>|ZabbixDataProvider.Entry[]), timestamp: number}>}
+	 */
+	this._batches = [];
+	/**
+	 * How many batches have been dropped because of the size or age limit, since the queue was created.
+	 * @type {number}
+	 */
+	this._dropped = 0;
+
+	if (this._file) {
+		this._load();
+	}
+}
+
+/**
+ * Load the queue from its file. A missing file means an empty queue; an unreadable one is logged and ignored.
+ */
+OfflineQueue.prototype._load = function _load() {
+	try {
+		var content = JSON.parse(fs.readFileSync(this._file, 'utf-8'));
+		this._batches = Array.isArray(content) ? content : [];
+	}
+	catch (error) {
+		if (error.code !== 'ENOENT') {
+			this._logger.error({ event: 'OfflineQueue#loadError', error: error, file: this._file }, 'Could not load the offline queue from %s: %s', this._file, error.message);
+		}
+		this._batches = [];
+	}
+	this._enforceLimits();
+};
+
+/**
+ * Arrange for the queue to be written to its file, if one is configured, once saveDelay has passed. Further changes until then are written along.
+ */
+OfflineQueue.prototype._save = function _save() {
+	var self = this;
+	if (!self._file) {
+		return;
+	}
+	self._changed = true;
+	if (self._saveTimer) {
+		return;
+	}
+	self._saveTimer = setTimeout(function() {
+		self._saveTimer = null;
+		self.flush().done();
+	}, self._saveDelay);
+	// Exiting is not held up by the timer - flush() is called for that.
+	self._saveTimer.unref();
+};
+
+/**
+ * Write the queue to its file now, if it has changed since it was last written. The file is replaced atomically, so that a crash cannot leave it half-written.
+ * If a write is in progress, it is waited for, and the file is written again if the queue has changed meanwhile.
+ * @returns {Promise} A promise which fulfills when the file is up to date. It never rejects - failures to write are logged, and writing is tried again on the next change or call.
+ */
+OfflineQueue.prototype.flush = function flush() {
+	var self = this;
+	if (self._saving) {
+		return self._saving.then(function() {
+			return self.flush();
+		});
+	}
+	clearTimeout(self._saveTimer);
+	self._saveTimer = null;
+	if (!self._file || !self._changed) {
+		return when.resolve();
+	}
+
+	self._changed = false;
+	var temporaryFile = self._file + '.tmp';
+	self._saving = nodefn.call(fs.writeFile, temporaryFile, JSON.stringify(self._batches)).then(function() {
+		return nodefn.call(fs.rename, temporaryFile, self._file);
+	}).catch(function(error) {
+		// The file is still out of date, so the next change or flush() writes it again.
+		self._changed = true;
+		self._logger.error({ event: 'OfflineQueue#saveError', error: error, file: self._file }, 'Could not save the offline queue to %s: %s', self._file, error.message);
+	}).ensure(function() {
+		self._saving = null;
+	});
+	return self._saving;
+};
+
+/**
+ * Drop batches that are over the age limit, and the oldest batches if over the size limit.
+ * @param {number} [now=Date.now()] - The current time, as a timestamp in milliseconds.
+ * @returns {number} How many batches have been dropped.
+ */
+OfflineQueue.prototype._enforceLimits = function _enforceLimits(now) {
+	var oldestAllowed = (now || Date.now()) - this._maxAge;
+	var originalLength = this._batches.length;
+	this._batches = this._batches.filter(function(batch) {
+		return batch.timestamp >= oldestAllowed;
+	});
+	if (this._batches.length > this._maxSize) {
+		this._batches = this._batches.slice(this._batches.length - this._maxSize);
+	}
+
+	var dropped = originalLength - this._batches.length;
+	this._dropped += dropped;
+	return dropped;
+};
+
+/**
+ * Append a batch at the end of the queue.
+ * @param {(Object.<string,*>|ZabbixDataProvider.Entry[])} values - The values to send, as given to ZabbixDataProvider#send().
+ * @param {number} [timestamp=Date.now()] - When the values were collected, in milliseconds.
+ * @returns {{values: (Object.<string,*>|ZabbixDataProvider.Entry[]), timestamp: number}} The batch, as peek() will return it.
+ */
+OfflineQueue.prototype.push = function push(values, timestamp) {
+	var batch = { values: values, timestamp: timestamp || Date.now() };
+	this._batches.push(batch);
+	this._enforceLimits();
+	this._save();
+	return batch;
+};
+
+/**
+ * Get the oldest batch without removing it. Batches over the age limit are dropped first.
+ * @returns {?{values: (Object.<string,*>|ZabbixDataProvider.Entry[]), timestamp: number}} The batch, or null if the queue is empty.
+ */
+OfflineQueue.prototype.peek = function peek() {
+	if (this._enforceLimits() > 0) {
+		this._save();
+	}
+	return this._batches[0] || null;
+};
+
+/**
+ * Remove a batch, e.g. after it has been sent. Nothing happens if the batch is no longer queued (because it has been dropped meanwhile).
+ * @param {Object} batch - The batch, as returned by peek().
+ */
+OfflineQueue.prototype.remove = function remove(batch) {
+	var index = this._batches.indexOf(batch);
+	if (index >= 0) {
+		this._batches.splice(index, 1);
+		this._save();
+	}
+};
+
+/**
+ * Get the number of queued batches.
+ * @returns {number}
+ */
+OfflineQueue.prototype.getDepth = function getDepth() {
+	return this._batches.length;
+};
+
+/**
+ * Get the number of batches dropped so far due to the size or age limit.
+ * @returns {number}
+ */
+OfflineQueue.prototype.getDroppedCount = function getDroppedCount() {
+	return this._dropped;
+};
+
+module.exports = OfflineQueue;
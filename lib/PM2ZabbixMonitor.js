@@ -1,15 +1,24 @@
-// nullLogger: essentially a fake bunyan logger API.
-function noLog() {
-	return;
-}
-var nullLogger = {
-	trace: noLog,
-	debug: noLog,
-	info: noLog,
-	warn: noLog,
-	error: noLog,
-	fatal: noLog
-};
+var when = require('when');
+var ZabbixDataProvider = require('./ZabbixDataProvider');
+var RestartHistory = require('./RestartHistory');
+var nullLogger = require('./nullLogger');
+var items = require('./items');
+
+/**
+ * The value that pmx and @pm2/io report for a probe that has no value yet. It says nothing about the probe's type.
+ * @type {string}
+ */
+var UNSET_METRIC_VALUE = 'N/A';
+
+/**
+ * A destination for the values collected by a monitor. ZabbixDataProvider is one; PrometheusSink and StatsDSink are others.
+ * Values are always identified by their Zabbix item keys (see items.js), and sinks for other monitoring systems translate them into their own naming scheme.
+ * Discovery items tell sinks which processes and applications exist, and what they are called.
+ * @typedef {Object} Sink
+ * @property {function((Object.<string,*>|ZabbixDataProvider.Entry[])): Promise} send - Send a map of values, or a list of entries.
+ * @property {function(Object, string=)} addDiscoveryItem - Register a discovery item on the named discovery list ("processes" by default).
+ * @property {function(Object, string=)} removeDiscoveryItems - Remove the discovery items matching a specification from the named discovery list.
+ */
 
 /**
  * The PM2 Zabbix Monitor is a class which provides constant overwatch of a PM2 instance.
@@ -22,25 +31,118 @@ var nullLogger = {
  * @param {Object} [options] - Settings for configuring the run-time behaviour of the monitor.
  * @param {boolean} [options.monitor=false] - Whether updates should be listened to and sent periodically. By default, only the initial state is loaded and the discovery data is populated (i.e. no data gets actually sent to Zabbix). The "non-monitor" mode may be used for building one-time discovery scripts.
  * @param {boolean} [options.debug] - Whether log messages should be printed to the console.
- * @param {number} [options.processListInterval=15000] - The interval (ms) between sending entire process lists to Zabbix. This does not impact process status change updates, which are sent immediately. Meaningless if "monitor" is not enabled.
+ * @param {number} [options.processListInterval=15000] - The interval (ms) between sending entire process lists to Zabbix. This does not impact process status change updates, which are sent in real time. Meaningless if "monitor" is not enabled.
+ * @param {number} [options.statusUpdateDelay=500] - The time window (ms) in which real-time process status changes are collected before being sent to Zabbix in one batch.
+ *  Every change is sent, in order and with the time at which it happened, so that short-lived states (e.g. a restart) are not lost.
  * @param {number} [options.processManagerInterval=15000] - The interval (ms) between sending the PM2 supervisor process status to Zabbix. Does nothing when monitor is off.
+ * @param {number} [options.discoveryInterval=60000] - The interval (ms) between re-reading the process list from PM2 to keep discovery data in sync, and between pushing discovery data to Zabbix if pushDiscovery is on. Does nothing when monitor is off.
+ * @param {boolean} [options.pushDiscovery=false] - Whether to send the discovery data to Zabbix as a trapper value under the "pm2.processes" key, whenever the process set changes and periodically. Requires the discovery rule on the server to be of the "Zabbix trapper" type.
+ * @param {PM2ZabbixMonitor} [options.discoveryPusher] - With pushDiscovery, the monitor that pushes the discovery data on behalf of this one. Monitors sharing a data provider
+ *  share its discovery data, too, which each of them would otherwise push. When this is set, this monitor does not push by itself, but asks the other one to push
+ *  whenever its own process set changes.
+ * @param {string} [options.instance] - The name of the PM2 instance watched by this monitor, for running several monitors (one per PM2 home) against a shared data provider.
+ *  When set, process IDs are prefixed with "<instance>:", manager keys become "pm2.<item>[<instance>]", discovery items carry a {#PM2_INSTANCE} macro,
+ *  and the instance is registered on the "instances" discovery list. When not set, keys are the same as with a single PM2 instance.
+ * @param {ErrorLogCollector} [options.errorLogCollector] - If given, error output and exceptions of processes (reported by the tracker as "processError", see its errorEvents option)
+ *  are passed through this collector and forwarded to the "pm2.processes[<processID>,errors]" log items, and error counts are sent periodically.
+ *  The collector keeps its counts by the tracker's process IDs, so every monitor needs one of its own.
+ * @param {number} [options.errorCountInterval=60000] - The interval (ms) between sending per-process error counts ("pm2.processes[<processID>,error_count]"). Also the rate-limiting interval of the error log collector.
+ * @param {number} [options.crashLoopWindow=300000] - The sliding window (ms) in which restarts are counted for the restart rate ("pm2.processes[<processID>,restart_rate]")
+ *  and crash loop detection. Restarts are only seen in monitor mode.
+ * @param {number} [options.crashLoopRestarts=5] - How many restarts within the window make a crash loop ("pm2.processes[<processID>,crash_loop]").
+ * @param {number} [options.deletedGracePeriod=600000] - How long (ms) a process deleted from PM2 is kept in the discovery data, reported with the status "deleted",
+ *  before it is dropped - after which the "keep lost resources period" of the discovery rule applies. A process that comes back under the same ID
+ *  (see the tracker's "identity" option) within this time simply continues. Zero drops deleted processes right away.
+ * @param {ValueThrottle} [options.valueThrottle] - If given, the process list and the PM2 status are passed through this throttle, so that only values
+ *  that have changed (or are due for their heartbeat) are sent. Real-time status changes and error lines are always sent. Every monitor needs one of its own.
+ * @param {ProcessFilter} [options.processFilter] - Decides which processes are monitored. Processes it does not match are left out of both discovery and data sending. By default, all processes are monitored.
+ * @param {Sink[]} [options.sinks] - Further destinations for the collected values, such as a PrometheusSink or a StatsDSink, besides the data provider.
+ *  They get the same values and discovery items as the data provider, but not the discovery data pushed to Zabbix, and they are not affected by the value throttle.
+ *  Their failures are logged and do not affect sending to Zabbix.
+ * @param {boolean} [options.reportSelf=false] - Whether to send items about pm2-zabbix itself ("pm2zabbix.*": a heartbeat, the version, send statistics
+ *  and the state of the data provider's offline queue) along with the PM2 status, and its "stopped" status on stop(). When several monitors share a data provider,
+ *  only one of them should do this.
  */
 function PM2ZabbixMonitor(tracker, dataProvider, options) {
 	this._tracker = tracker;
 	this._dataProvider = dataProvider;
 	this._options = options || {};
-	// Apply some sane defaults:
-	this._options.processListInterval = this._options.processListInterval || 15000;
-	this._options.processManagerInterval = this._options.processManagerInterval || 15000;
+	this._applyDefaultOptions();
+	/**
+	 * Interval timers for periodic sending, active while the monitor is running in monitor mode.
+	 * @type {Object[]}
+	 */
+	this._timers = [];
+	/**
+	 * A promise chain of error log sends, which keeps forwarded lines in order.
+	 * @type {Promise}
+	 */
+	this._errorSendQueue = when.resolve();
+	/**
+	 * The timer used to delay pushing discovery data after the process set changes, so that a burst of changes results in one update.
+	 * @type {?Object}
+	 */
+	this._discoveryUpdateTimer = null;
+	/**
+	 * Real-time status changes waiting to be sent, oldest first.
+	 * @type {ZabbixDataProvider.Entry[]}
+	 */
+	this._pendingStatusUpdates = [];
+	/**
+	 * The timer that sends the pending status changes at the end of the collection window.
+	 * @type {?Object}
+	 */
+	this._statusUpdateTimer = null;
+	/**
+	 * Recent restarts of each process, seen in the tracker's status changes.
+	 * @type {RestartHistory}
+	 */
+	this._restartHistory = new RestartHistory({ window: this._options.crashLoopWindow, threshold: this._options.crashLoopRestarts });
+	/**
+	 * Processes that have been deleted from PM2 and are within their grace period, keyed by process ID, with their last state and the timer that drops them.
+	 * @type {Object.<string,{state: ProcessState, timer: Object}>}
+	 */
+	this._deletedProcesses = {};
+	/**
+	 * The type ("numeric" or "text") of each custom metric, keyed by process ID and metric name. A metric's type is fixed when it is first seen
+	 *  with a value, so that a probe which sometimes reports text (such as "N/A") does not move between the numeric and text discovery rules.
+	 * @type {Object.<string,Object.<string,string>>}
+	 */
+	this._metricTypes = {};
 
 	// If monitor mode is on, register a process state change handler:
 	if (this._options.monitor) {
 		this._initListeners();
 	}
+	this._initDiscoveryListeners();
 	this._logger = this._options.logger || nullLogger;
 
 }
 
+/**
+ * Fill in defaults for any options that have not been set.
+ */
+PM2ZabbixMonitor.prototype._applyDefaultOptions = function _applyDefaultOptions() {
+	// Apply some sane defaults:
+	this._options.processListInterval = this._options.processListInterval || 15000;
+	this._options.processManagerInterval = this._options.processManagerInterval || 15000;
+	this._options.discoveryInterval = this._options.discoveryInterval || 60000;
+	this._options.errorCountInterval = this._options.errorCountInterval || 60000;
+	this._options.statusUpdateDelay = this._options.statusUpdateDelay || 500;
+	if (this._options.deletedGracePeriod === undefined) {
+		this._options.deletedGracePeriod = 10 * 60 * 1000;
+	}
+};
+
+/**
+ * Check whether a process should be monitored, according to the configured process filter.
+ * @param {ProcessState} processState - The process's state, used for obtaining its name.
+ * @returns {boolean}
+ */
+PM2ZabbixMonitor.prototype._isMonitored = function _isMonitored(processState) {
+	return !this._options.processFilter || this._options.processFilter.matches(processState.name);
+};
+
 /**
  * Initialize the process state change listeners. This enables sending "status" data items to Zabbix
  *  whenever the tracker reports that a process's state has changed.
@@ -48,40 +150,466 @@ function PM2ZabbixMonitor(tracker, dataProvider, options) {
 PM2ZabbixMonitor.prototype._initListeners = function _initListeners() {
 	var self = this;
 
-	// Notify Zabbix of every state change immediately.
+	// Notify Zabbix of every state change. Changes are batched for a short while, so that a burst of them (such as a crash loop) results in one send.
 	self._tracker.on('processStateChanged', function(changeEvent) {
+		if (!self._isMonitored(changeEvent.newState)) {
+			return;
+		}
 		self._logger.trace({ event: 'PM2ZabbixMonitor#gotProcessStateChanged', changeEvent: changeEvent }, 'Process state changed in tracker');
 		// Construct a key name appropriate for this data item.
 		var statusKey = self.getDataKey(changeEvent.processID, changeEvent.newState, 'status');
-		var statusObject = {};
-		statusObject[statusKey] = changeEvent.newState.status;
-		self._dataProvider.send(statusObject).done(function() {
-			self._logger.debug({ event: 'PM2ZabbixMonitor#processUpdateSent', processID: changeEvent.processID, newState: changeEvent.newState }, 'Real-time status update sent for process %s', changeEvent.processID);
-		}, function(error) {
-			self._logger.error({ event: 'PM2ZabbixMonitor#processUpdateSendingError', error: error, processID: changeEvent.processID, newState: changeEvent.newState }, 'Real-time status update sending failed for process %s: %s', changeEvent.processID, error.message);
+		self._pendingStatusUpdates.push(ZabbixDataProvider.createEntry(statusKey, changeEvent.newState.status, changeEvent.at));
+		// A process entering (or leaving) a crash loop is reported along with the status change, rather than with the next process list.
+		var wasCrashLooping = self._restartHistory.getStats(changeEvent.processID, changeEvent.at).crashLoop;
+		self._restartHistory.record(changeEvent.processID, changeEvent.oldState && changeEvent.oldState.status, changeEvent.newState.status, changeEvent.at);
+		var restartStats = self._restartHistory.getStats(changeEvent.processID, changeEvent.at);
+		if (restartStats.crashLoop !== wasCrashLooping) {
+			self._logger.warn({ event: 'PM2ZabbixMonitor#crashLoop', processID: changeEvent.processID, crashLoop: restartStats.crashLoop, restarts: restartStats.restarts },
+				restartStats.crashLoop ? 'Process %s is in a crash loop (%d restarts)' : 'Process %s is no longer in a crash loop (%d restarts)', changeEvent.processID, restartStats.restarts);
+			var crashLoopKey = self.getDataKey(changeEvent.processID, changeEvent.newState, 'crash_loop');
+			self._pendingStatusUpdates.push(ZabbixDataProvider.createEntry(crashLoopKey, restartStats.crashLoop ? 1 : 0, changeEvent.at));
+		}
+		self._scheduleStatusUpdate();
+	});
+
+	// Report a process running different code along with the status changes, rather than with the next process list, so that deployments
+	//  show up in Zabbix at the time they happened.
+	self._tracker.on('processDeploymentChanged', function(changeEvent) {
+		if (!self._isMonitored(changeEvent.newState)) {
+			return;
+		}
+		var deployment = changeEvent.newState.deployment || {};
+		self._logger.info({ event: 'PM2ZabbixMonitor#deploymentChanged', processID: changeEvent.processID, oldDeployment: changeEvent.oldState.deployment, newDeployment: deployment },
+			'Process %s now runs version %s, revision %s', changeEvent.processID, deployment.version || '(unknown)', deployment.revision || '(unknown)');
+		items.PROCESS_ITEMS.forEach(function(itemDefinition) {
+			if (itemDefinition.deployment) {
+				var key = self.getDataKey(changeEvent.processID, changeEvent.newState, itemDefinition.item);
+				self._pendingStatusUpdates.push(ZabbixDataProvider.createEntry(key, itemDefinition.collect(changeEvent.newState), changeEvent.at));
+			}
+		});
+		self._scheduleStatusUpdate();
+	});
+
+	// Forward error output, subject to the collector's patterns and rate limit.
+	self._tracker.on('processError', function(errorEvent) {
+		if (!self._options.errorLogCollector || !self._isMonitored({ name: errorEvent.processName })) {
+			return;
+		}
+		var lines = self._options.errorLogCollector.record(errorEvent.processID, errorEvent.message);
+		self._forwardErrorLines(errorEvent.processID, lines, errorEvent.at);
+	});
+
+	// Report the tracker's connection to PM2 as soon as it changes.
+	self._tracker.on('disconnected', function(disconnectEvent) {
+		self._logger.warn({ event: 'PM2ZabbixMonitor#trackerDisconnected', reason: disconnectEvent.reason }, 'Lost connection to PM2 (%s) - reconnecting', disconnectEvent.reason);
+		self._sendConnectionState();
+	});
+	self._tracker.on('reconnectFailed', function(failureEvent) {
+		self._logger.debug({ event: 'PM2ZabbixMonitor#trackerReconnectFailed', error: failureEvent.error, attempts: failureEvent.attempts }, 'Reconnecting to PM2 failed (attempt %d): %s', failureEvent.attempts, failureEvent.error.message);
+	});
+	self._tracker.on('reconnected', function(reconnectEvent) {
+		self._logger.info({ event: 'PM2ZabbixMonitor#trackerReconnected', pid: reconnectEvent.pid }, 'Reconnected to PM2 (daemon PID %s)', reconnectEvent.pid);
+		self._sendConnectionState();
+	});
+};
+
+/**
+ * Initialize the listeners that keep the discovery data in sync with the process set. These are needed in every mode, since the discovery data
+ *  is served by getValue(), too.
+ */
+PM2ZabbixMonitor.prototype._initDiscoveryListeners = function _initDiscoveryListeners() {
+	var self = this;
+
+	self._tracker.on('processAdded', function(addEvent) {
+		if (!self._isMonitored(addEvent.newState)) {
+			return;
+		}
+		self._logger.debug({ event: 'PM2ZabbixMonitor#gotProcessAdded', processID: addEvent.processID }, 'Process %s added', addEvent.processID);
+		if (self._deletedProcesses[addEvent.processID]) {
+			self._logger.info({ event: 'PM2ZabbixMonitor#processReturned', processID: addEvent.processID }, 'Deleted process %s is back', addEvent.processID);
+			clearTimeout(self._deletedProcesses[addEvent.processID].timer);
+			delete self._deletedProcesses[addEvent.processID];
+		}
+		self._addDiscoveryItem(addEvent.processID, addEvent.newState);
+		self._updateAppDiscoveryItems(self._tracker.getCachedProcessMap());
+		self._scheduleDiscoveryUpdate();
+	});
+	self._tracker.on('processRemoved', function(removeEvent) {
+		self._logger.debug({ event: 'PM2ZabbixMonitor#gotProcessRemoved', processID: removeEvent.processID }, 'Process %s removed', removeEvent.processID);
+		self._restartHistory.forget(removeEvent.processID);
+		if (self._options.deletedGracePeriod > 0 && removeEvent.oldState && self._isMonitored(removeEvent.oldState)) {
+			self._markDeleted(removeEvent.processID, removeEvent.oldState, removeEvent.at);
+		}
+		else {
+			delete self._metricTypes[removeEvent.processID];
+			self._removeDiscoveryItem(removeEvent.processID);
+			self._scheduleDiscoveryUpdate();
+		}
+		self._updateAppDiscoveryItems(self._tracker.getCachedProcessMap());
+	});
+};
+
+/**
+ * Keep a process that has been deleted from PM2 in the discovery data for the grace period (see the deletedGracePeriod option), reporting its status
+ *  as "deleted" in the meantime, and drop it afterwards. This way, Zabbix sees the process go away explicitly instead of just getting no more data.
+ * @param {string} processID - Synthetic ID of the process.
+ * @param {ProcessState} lastState - The process's last known state.
+ * @param {number} [at=Date.now()] - When the process has been deleted (or found missing), in milliseconds.
+ */
+PM2ZabbixMonitor.prototype._markDeleted = function _markDeleted(processID, lastState, at) {
+	var self = this;
+	if (self._deletedProcesses[processID]) {
+		clearTimeout(self._deletedProcesses[processID].timer);
+	}
+	var timer = setTimeout(function() {
+		delete self._deletedProcesses[processID];
+		delete self._metricTypes[processID];
+		self._logger.info({ event: 'PM2ZabbixMonitor#deletedProcessDropped', processID: processID }, 'Dropping deleted process %s from discovery', processID);
+		self._removeDiscoveryItem(processID);
+		self._scheduleDiscoveryUpdate();
+	}, self._options.deletedGracePeriod);
+	self._deletedProcesses[processID] = { state: lastState, timer: timer };
+
+	if (self._options.monitor) {
+		self._pendingStatusUpdates.push(ZabbixDataProvider.createEntry(self.getDataKey(processID, lastState, 'status'), 'deleted', at));
+		self._scheduleStatusUpdate();
+	}
+};
+
+/**
+ * Register a discovery item with the data provider and the other sinks.
+ * @param {Object} item - The discovery item.
+ * @param {string} [listName] - The discovery list to add the item to.
+ */
+PM2ZabbixMonitor.prototype._addToDiscovery = function _addToDiscovery(item, listName) {
+	this._dataProvider.addDiscoveryItem(item, listName);
+	(this._options.sinks || []).forEach(function(sink) {
+		sink.addDiscoveryItem(item, listName);
+	});
+};
+
+/**
+ * Remove discovery items from the data provider and the other sinks.
+ * @param {Object} removalSpecification - A key-value map to compare discovery items against (see ZabbixDataProvider#removeDiscoveryItems()).
+ * @param {string} [listName] - The discovery list to remove items from.
+ */
+PM2ZabbixMonitor.prototype._removeFromDiscovery = function _removeFromDiscovery(removalSpecification, listName) {
+	this._dataProvider.removeDiscoveryItems(removalSpecification, listName);
+	(this._options.sinks || []).forEach(function(sink) {
+		sink.removeDiscoveryItems(removalSpecification, listName);
+	});
+};
+
+/**
+ * Register a process as a discovery item with the data provider. If the process is already registered, its entry is replaced.
+ * Its custom metrics are registered on the "metrics" discovery list.
+ * @param {string} processID - Synthetic ID of the process.
+ * @param {ProcessState} processState - The process's state, used for obtaining its name and custom metrics.
+ */
+PM2ZabbixMonitor.prototype._addDiscoveryItem = function _addDiscoveryItem(processID, processState) {
+	this._removeDiscoveryItem(processID);
+	this._addToDiscovery(this._withInstanceMacro({
+		'{#PROCESS_ID}': this.getProcessID(processID),
+		'{#PROCESS_NAME}': processState.name
+	}));
+	this._updateMetricDiscoveryItems(processID, processState);
+};
+
+/**
+ * Remove a process, along with its custom metrics, from the data provider's discovery items.
+ * @param {string} processID - Synthetic ID of the process.
+ */
+PM2ZabbixMonitor.prototype._removeDiscoveryItem = function _removeDiscoveryItem(processID) {
+	var removalSpecification = { '{#PROCESS_ID}': this.getProcessID(processID) };
+	this._removeFromDiscovery(removalSpecification);
+	this._removeFromDiscovery(removalSpecification, 'metrics');
+};
+
+/**
+ * Get the type of a custom metric, fixing it if the metric is seen with a value for the first time: "numeric" if that value is a number, and "text" otherwise.
+ * @param {string} processID - Synthetic ID of the process.
+ * @param {string} metricName - The name of the metric.
+ * @param {(number|string)} value - The metric's current value.
+ * @returns {?string} "numeric" or "text", or null if the metric has never had a value (only "N/A").
+ */
+PM2ZabbixMonitor.prototype._getMetricType = function _getMetricType(processID, metricName, value) {
+	var metricTypes = this._metricTypes[processID] = this._metricTypes[processID] || {};
+	if (!metricTypes[metricName] && value !== UNSET_METRIC_VALUE) {
+		metricTypes[metricName] = (typeof value === 'number') ? 'numeric' : 'text';
+	}
+	return metricTypes[metricName] || null;
+};
+
+/**
+ * Replace the custom metric discovery items of a process with the metrics it currently publishes.
+ * Each item carries a {#METRIC_TYPE} macro ("numeric" or "text"), so that the server can create an item of the right value type.
+ *  The type is fixed when the metric is first seen with a value (see _getMetricType()), and metrics that have never had one are left out.
+ * @param {string} processID - Synthetic ID of the process.
+ * @param {ProcessState} processState - The process's state, holding its custom metrics.
+ * @returns {boolean} Whether the set of discovered metrics for this process has changed.
+ */
+PM2ZabbixMonitor.prototype._updateMetricDiscoveryItems = function _updateMetricDiscoveryItems(processID, processState) {
+	var self = this;
+	var qualifiedProcessID = self.getProcessID(processID);
+	function ownItems() {
+		return self._dataProvider.getDiscoveryData('metrics').data.filter(function(item) {
+			return item['{#PROCESS_ID}'] === qualifiedProcessID;
+		});
+	}
+
+	var oldItems = JSON.stringify(ownItems());
+	self._removeFromDiscovery({ '{#PROCESS_ID}': qualifiedProcessID }, 'metrics');
+	Object.keys(processState.metrics || {}).forEach(function(metricName) {
+		var metricType = self._getMetricType(processID, metricName, processState.metrics[metricName]);
+		if (!metricType) {
+			return;
+		}
+		self._addToDiscovery(self._withInstanceMacro({
+			'{#PROCESS_ID}': qualifiedProcessID,
+			'{#PROCESS_NAME}': processState.name,
+			'{#METRIC_NAME}': metricName,
+			'{#METRIC_TYPE}': metricType
+		}), 'metrics');
+	});
+
+	return JSON.stringify(ownItems()) !== oldItems;
+};
+
+/**
+ * Group the monitored processes by application, i.e. by process name. The instances of a cluster-mode app share a name.
+ * @param {Object.<string,ProcessState>} processMap - The process map, as obtained from the tracker.
+ * @returns {Object.<string,ProcessState[]>} The states of each application's processes, keyed by application name.
+ */
+PM2ZabbixMonitor.prototype._groupByApp = function _groupByApp(processMap) {
+	var self = this;
+	var apps = {};
+	Object.keys(processMap).forEach(function(processID) {
+		var processState = processMap[processID];
+		if (!self._isMonitored(processState)) {
+			return;
+		}
+		apps[processState.name] = apps[processState.name] || [];
+		apps[processState.name].push(processState);
+	});
+	return apps;
+};
+
+/**
+ * Replace this monitor's entries on the "apps" discovery list with the applications currently found in the process map.
+ * @param {Object.<string,ProcessState>} processMap - The process map, as obtained from the tracker.
+ * @returns {boolean} Whether the set of discovered applications has changed.
+ */
+PM2ZabbixMonitor.prototype._updateAppDiscoveryItems = function _updateAppDiscoveryItems(processMap) {
+	var self = this;
+	function ownItems() {
+		return self._dataProvider.getDiscoveryData('apps').data.filter(function(item) {
+			return item['{#PM2_INSTANCE}'] === self._options.instance;
 		});
+	}
+
+	var oldItems = ownItems();
+	// Application names are qualified with the instance name, so removing by name leaves other monitors' entries alone.
+	oldItems.forEach(function(item) {
+		self._removeFromDiscovery({ '{#APP_NAME}': item['{#APP_NAME}'] }, 'apps');
+	});
+	Object.keys(self._groupByApp(processMap)).forEach(function(appName) {
+		self._addToDiscovery(self._withInstanceMacro({
+			'{#APP_NAME}': self.getAppName(appName)
+		}), 'apps');
+	});
+
+	return JSON.stringify(ownItems()) !== JSON.stringify(oldItems);
+};
+
+/**
+ * Send error lines of a process to its "errors" log item, in order, stamped with the time at which they were output.
+ * @param {string} processID - Synthetic ID of the process, as reported by the tracker.
+ * @param {string[]} lines - The lines to send.
+ * @param {number} [at=Date.now()] - When the lines were output, in milliseconds.
+ */
+PM2ZabbixMonitor.prototype._forwardErrorLines = function _forwardErrorLines(processID, lines, at) {
+	var self = this;
+	var errorsKey = self.getDataKey(processID, null, 'errors');
+	if (lines.length === 0) {
+		return;
+	}
+
+	var entries = lines.map(function(line) {
+		return ZabbixDataProvider.createEntry(errorsKey, line, at);
+	});
+	self._errorSendQueue = self._errorSendQueue.then(function() {
+		return self._send(entries);
+	}).catch(function(error) {
+		self._logger.error({ event: 'PM2ZabbixMonitor#errorLineSendingError', error: error, processID: processID }, 'Failed to forward error output of process %s: %s', processID, error);
+	});
+};
+
+/**
+ * Arrange for the pending status changes to be sent at the end of the collection window (see the statusUpdateDelay option).
+ */
+PM2ZabbixMonitor.prototype._scheduleStatusUpdate = function _scheduleStatusUpdate() {
+	var self = this;
+	if (self._statusUpdateTimer) {
+		return;
+	}
+	self._statusUpdateTimer = setTimeout(function() {
+		self._statusUpdateTimer = null;
+		self._sendStatusUpdates().done();
+	}, self._options.statusUpdateDelay);
+};
+
+/**
+ * Send all pending status changes in one batch, logging the outcome.
+ * @returns {Promise} A promise which fulfills when the changes have been sent, or sending has failed (the failure is only logged).
+ */
+PM2ZabbixMonitor.prototype._sendStatusUpdates = function _sendStatusUpdates() {
+	var self = this;
+	var entries = self._pendingStatusUpdates;
+	self._pendingStatusUpdates = [];
+	if (entries.length === 0) {
+		return when.resolve();
+	}
+
+	return self._send(entries).then(function() {
+		self._logger.debug({ event: 'PM2ZabbixMonitor#processUpdateSent', updates: entries }, 'Real-time status updates sent (%d changes)', entries.length);
+	}, function(error) {
+		self._logger.error({ event: 'PM2ZabbixMonitor#processUpdateSendingError', error: error, updates: entries }, 'Real-time status update sending failed (%d changes): %s', entries.length, error.message);
+	});
+};
+
+/**
+ * Send the tracker's connection state (the "connected" manager item) right away, logging the outcome.
+ */
+PM2ZabbixMonitor.prototype._sendConnectionState = function _sendConnectionState() {
+	var self = this;
+	var dataObject = {};
+	dataObject[self.getManagerKey('connected')] = self._tracker.isConnected() ? 1 : 0;
+
+	self._send(dataObject).done(function() {
+		self._logger.debug({ event: 'PM2ZabbixMonitor#connectionStateSent', status: dataObject }, 'Tracker connection state sent');
+	}, function(error) {
+		self._logger.error({ event: 'PM2ZabbixMonitor#connectionStateSendingError', error: error }, 'Failed to send tracker connection state: %s', error);
+	});
+};
+
+/**
+ * Add the {#PM2_INSTANCE} macro to a discovery item, if this monitor watches a named PM2 instance.
+ * @param {Object} item - The discovery item. It is modified in place.
+ * @returns {Object} The same item, for chaining.
+ */
+PM2ZabbixMonitor.prototype._withInstanceMacro = function _withInstanceMacro(item) {
+	if (this._options.instance) {
+		item['{#PM2_INSTANCE}'] = this._options.instance;
+	}
+	return item;
+};
+
+/**
+ * Push the discovery data to Zabbix shortly, unless a push is already pending. Does nothing if pushDiscovery or monitor mode is off.
+ * Waiting a moment lets a burst of process additions (e.g. starting a cluster-mode app) result in a single update.
+ */
+PM2ZabbixMonitor.prototype._scheduleDiscoveryUpdate = function _scheduleDiscoveryUpdate() {
+	var self = this;
+	if (self._options.discoveryPusher) {
+		self._options.discoveryPusher._scheduleDiscoveryUpdate();
+		return;
+	}
+	if (!self._options.monitor || !self._options.pushDiscovery || self._discoveryUpdateTimer) {
+		return;
+	}
+
+	self._discoveryUpdateTimer = setTimeout(function() {
+		self._discoveryUpdateTimer = null;
+		self._sendDiscoveryDataInBackground();
+	}, 1000);
+};
+
+/**
+ * Send the discovery data, logging the outcome instead of returning a promise.
+ */
+PM2ZabbixMonitor.prototype._sendDiscoveryDataInBackground = function _sendDiscoveryDataInBackground() {
+	var self = this;
+
+	self.sendDiscoveryData().done(function() {
+		self._logger.debug({ event: 'PM2ZabbixMonitor#discoveryDataSent' }, 'Discovery data sent');
+	}, function(error) {
+		self._logger.error({ event: 'PM2ZabbixMonitor#discoveryDataSendingError', error: error }, 'Failed to send discovery data: %s', error);
 	});
 };
 
+/**
+ * Get the process ID under which a process is reported to Zabbix. This is the tracker's process ID,
+ *  prefixed with the PM2 instance name if one has been configured (e.g. "alice:Application-0").
+ * @param {string} processID - Synthetic ID of the process, as reported by the tracker.
+ * @returns {string} The process ID, unique among all PM2 instances reporting to the same Zabbix host.
+ */
+PM2ZabbixMonitor.prototype.getProcessID = function getProcessID(processID) {
+	return this._options.instance ? this._options.instance + ':' + processID : processID;
+};
+
 /**
  * Get the string key for information on a PM2-managed process that data should be sent to Zabbix under.
  * This corresponds to the "item name" ("observable"?) on the Zabbix side.
- * @param {string} processID - Synthetic ID of the process. Something like "Application-0".
+ * @param {string} processID - Synthetic ID of the process, as reported by the tracker. Something like "Application-0".
  * @param {ProcessState} processState - A description of the process's state.
  * @param {string} dataItem - Which aspect of information about the process's state should be provided. Separate keys are supposed to exist server-side for the CPU usage, memory, status, etc.
  * @returns {string} The item key to send the data to Zabbix with.
  */
 PM2ZabbixMonitor.prototype.getDataKey = function getDataKey(processID, processState, dataItem) {
-	return 'pm2.processes[' + processID + ',' + dataItem + ']';
+	return items.processKey(this.getProcessID(processID), dataItem);
+};
+
+/**
+ * Get the name under which an application (a group of processes sharing a name) is reported to Zabbix.
+ *  Like process IDs, it is prefixed with the PM2 instance name if one has been configured (e.g. "alice:Application").
+ * @param {string} appName - The process name shared by the application's processes.
+ * @returns {string} The application name, unique among all PM2 instances reporting to the same Zabbix host.
+ */
+PM2ZabbixMonitor.prototype.getAppName = function getAppName(appName) {
+	return this._options.instance ? this._options.instance + ':' + appName : appName;
+};
+
+/**
+ * Get the string key for an aggregate of an application's processes, e.g. "pm2.apps[Application,memory.sum]".
+ * @param {string} appName - The process name shared by the application's processes.
+ * @param {string} dataItem - The aggregate, e.g. "cpu.avg" or "online".
+ * @returns {string} The item key.
+ */
+PM2ZabbixMonitor.prototype.getAppDataKey = function getAppDataKey(appName, dataItem) {
+	return items.appKey(this.getAppName(appName), dataItem);
+};
+
+/**
+ * Get the string key for a custom metric (pmx / @pm2/io probe) of a PM2-managed process.
+ * Numeric metrics are sent as "pm2.metrics[<processID>,<metric>]", while any other values go to "pm2.metrics.text[<processID>,<metric>]",
+ *  since Zabbix needs separate items for numbers and text. Which of the two a metric uses is decided by the first value it is seen with, and does not change afterwards.
+ * @param {string} processID - Synthetic ID of the process.
+ * @param {string} metricName - The name of the metric, as published by the application.
+ * @param {(number|string)} value - The metric's value. Only used for telling numeric metrics from text ones, if the metric is new.
+ * @returns {?string} The item key, or null if the metric has never had a value.
+ */
+PM2ZabbixMonitor.prototype.getMetricKey = function getMetricKey(processID, metricName, value) {
+	var metricType = this._getMetricType(processID, metricName, value);
+	return metricType ? items.metricKey(this.getProcessID(processID), metricName, metricType === 'numeric') : null;
 };
 
 /**
  * Get the string key for information on the PM2 daemon process itself that data should be sent to Zabbix as.
+ * If the monitor watches a named PM2 instance, the instance name is passed as the key's parameter, e.g. "pm2.status[alice]".
  * @param {string} dataItem - The aspect of the daemon process that is concerned, e.g. "memory", "status", "pid".
  * @returns {string} The item key.
  */
 PM2ZabbixMonitor.prototype.getManagerKey = function getManagerKey(dataItem) {
-	return 'pm2.' + dataItem;
+	return items.managerKey(dataItem, this._options.instance);
+};
+
+/**
+ * Get the key of the discovery rule that a discovery list is served under.
+ * @param {string} listName - The name of the data provider's discovery list, e.g. "processes" or "metrics".
+ * @returns {string} The discovery rule key.
+ */
+PM2ZabbixMonitor.prototype.getDiscoveryKey = function getDiscoveryKey(listName) {
+	return items.discoveryKey(listName);
 };
 
 /**
@@ -95,39 +623,207 @@ PM2ZabbixMonitor.prototype.start = function start() {
 
 	self._logger.info({ event: 'PM2ZabbixMonitor#starting', monitor: self._options.monitor }, 'Starting PM2ZabbixMonitor (monitoring enabled: %s)', self._options.monitor);
 	return self._tracker.start().then(function() {
+		if (self._options.instance) {
+			self._removeFromDiscovery({ '{#PM2_INSTANCE}': self._options.instance }, 'instances');
+			self._addToDiscovery({ '{#PM2_INSTANCE}': self._options.instance }, 'instances');
+		}
 		// Load the process list and add them as discovery items.
 		var processMap = self._tracker.getCachedProcessMap();
 		// Log the process map:
 		self._logger.debug({ event: 'PM2ZabbixMonitor#processMapGenerated', processMap: processMap }, 'Process map generated');
 		Object.keys(processMap).forEach(function registerProcessForDiscovery(processID) {
-			self._dataProvider.addDiscoveryItem({
-				'{#PROCESS_ID}': processID,
-				'{#PROCESS_NAME}': processMap[processID].name
-			});
+			if (self._isMonitored(processMap[processID])) {
+				self._addDiscoveryItem(processID, processMap[processID]);
+			}
 		});
+		self._updateAppDiscoveryItems(processMap);
 	}).then(function() {
 		if (self._options.monitor) {
-			setInterval(function() {
-				self.sendProcessList().done(function() {
-					self._logger.debug({ event: 'PM2ZabbixMonitor#processListSent' }, 'Process list with stats sent');
-				}, function(error) {
-					self._logger.error({ event: 'PM2ZabbixMonitor#processListSendingError', error: error }, 'Failed to send process list with stats to server: %s', error);
-				});
-			}, self._options.processListInterval);
-			setInterval(function() {
-				self.sendPM2Status().done(function() {
-					self._logger.debug({ event: 'PM2ZabbixMonitor#PM2StatusSent' }, 'PM2 status sent');
-				}, function(error) {
-					self._logger.error({ event: 'PM2ZabbixMonitor#PM2StatusSent', error: error }, 'Failed to send PM2 status: %s', error);
-				});
-			}, self._options.processManagerInterval);
+			self._startTimers();
+			// Announce the initial process set (this is a no-op if pushDiscovery is off).
+			self._scheduleDiscoveryUpdate();
 		}
 		self._logger.info({ event: 'PM2ZabbixMonitor#started' }, 'PM2ZabbixMonitor started');
 	});
 };
 
 /**
- * Send the complete process list of PM2-managed Node processes to Zabbix.
+ * Set up the periodic sending of the process list, PM2 status and discovery data, according to the configured intervals.
+ */
+PM2ZabbixMonitor.prototype._startTimers = function _startTimers() {
+	var self = this;
+
+	self._timers.push(setInterval(function() {
+		self.sendProcessList().done(function() {
+			self._logger.debug({ event: 'PM2ZabbixMonitor#processListSent' }, 'Process list with stats sent');
+		}, function(error) {
+			self._logger.error({ event: 'PM2ZabbixMonitor#processListSendingError', error: error }, 'Failed to send process list with stats to server: %s', error);
+		});
+	}, self._options.processListInterval));
+	self._timers.push(setInterval(function() {
+		self.sendPM2Status().done(function() {
+			self._logger.debug({ event: 'PM2ZabbixMonitor#PM2StatusSent' }, 'PM2 status sent');
+		}, function(error) {
+			self._logger.error({ event: 'PM2ZabbixMonitor#PM2StatusSent', error: error }, 'Failed to send PM2 status: %s', error);
+		});
+	}, self._options.processManagerInterval));
+	if (self._options.errorLogCollector) {
+		self._timers.push(setInterval(function() {
+			self.sendErrorCounts().done(function() {
+				self._logger.debug({ event: 'PM2ZabbixMonitor#errorCountsSent' }, 'Error counts sent');
+			}, function(error) {
+				self._logger.error({ event: 'PM2ZabbixMonitor#errorCountsSendingError', error: error }, 'Failed to send error counts: %s', error);
+			});
+		}, self._options.errorCountInterval));
+	}
+	self._timers.push(setInterval(function() {
+		// Re-reading the list emits processAdded/processRemoved for anything missed on the bus.
+		self._tracker.refresh().done(function() {
+			if (self._options.pushDiscovery && !self._options.discoveryPusher) {
+				self._sendDiscoveryDataInBackground();
+			}
+		}, function(error) {
+			self._logger.error({ event: 'PM2ZabbixMonitor#processListRefreshError', error: error }, 'Failed to refresh the process list: %s', error);
+		});
+	}, self._options.discoveryInterval));
+};
+
+/**
+ * Cancel all periodic sending set up by _startTimers().
+ */
+PM2ZabbixMonitor.prototype._stopTimers = function _stopTimers() {
+	this._timers.forEach(function(timer) {
+		clearInterval(timer);
+	});
+	this._timers = [];
+};
+
+/**
+ * Stop the monitor gracefully, e.g. when pm2-zabbix is being shut down: periodic sending is cancelled, real-time status changes
+ *  and error lines still waiting are sent, and with the "reportSelf" option, the "stopped" status is sent so that Zabbix can tell
+ *  a planned shutdown from a crash. Finally, the tracker is stopped.
+ * Failures to send are logged rather than reported, so that shutting down is never held up by an unreachable server for longer than a send takes.
+ * @returns {Promise} A promise which fulfills when the monitor has stopped.
+ */
+PM2ZabbixMonitor.prototype.stop = function stop() {
+	var self = this;
+
+	self._logger.info({ event: 'PM2ZabbixMonitor#stopping' }, 'Stopping PM2ZabbixMonitor');
+	self._stopTimers();
+	clearTimeout(self._discoveryUpdateTimer);
+	self._discoveryUpdateTimer = null;
+	clearTimeout(self._statusUpdateTimer);
+	self._statusUpdateTimer = null;
+	Object.keys(self._deletedProcesses).forEach(function(processID) {
+		clearTimeout(self._deletedProcesses[processID].timer);
+	});
+
+	return when.all([ self._sendStatusUpdates(), self._errorSendQueue ]).then(function() {
+		if (!self._options.reportSelf) {
+			return;
+		}
+		// The throttle is bypassed: the final values must get through even if they look unchanged.
+		return self._send(self._collectSelfItems('stopped')).catch(function(error) {
+			self._logger.error({ event: 'PM2ZabbixMonitor#stoppedStatusSendingError', error: error }, 'Failed to send the stopped status: %s', error.message);
+		});
+	}).then(function() {
+		return self._tracker.stop();
+	}).then(function() {
+		self._logger.info({ event: 'PM2ZabbixMonitor#stopped' }, 'PM2ZabbixMonitor stopped');
+	});
+};
+
+/**
+ * Change the monitor's settings at run time, e.g. after the configuration file has been reloaded.
+ * Intervals, the process filter and pushDiscovery can be changed this way. The discovery data is brought in line with the new process filter:
+ *  newly excluded processes are removed from it, and newly included ones are added.
+ * The "monitor", "instance", "sinks", "reportSelf" and "discoveryPusher" options cannot be changed after construction and are ignored.
+ * @param {Object} options - The new settings, same as for the constructor. Settings that are not given revert to their defaults.
+ */
+PM2ZabbixMonitor.prototype.reconfigure = function reconfigure(options) {
+	var self = this;
+	var fixedOptions = {
+		monitor: self._options.monitor,
+		instance: self._options.instance,
+		reportSelf: self._options.reportSelf,
+		discoveryPusher: self._options.discoveryPusher,
+		sinks: self._options.sinks,
+		logger: self._options.logger
+	};
+	self._options = Object.assign({}, options, fixedOptions);
+	self._applyDefaultOptions();
+	self._restartHistory.configure({ window: self._options.crashLoopWindow, threshold: self._options.crashLoopRestarts });
+	self._logger.info({ event: 'PM2ZabbixMonitor#reconfigured' }, 'PM2ZabbixMonitor reconfigured');
+
+	var processMap = self._tracker.getCachedProcessMap();
+	Object.keys(processMap).forEach(function(processID) {
+		if (self._isMonitored(processMap[processID])) {
+			self._addDiscoveryItem(processID, processMap[processID]);
+		}
+		else {
+			self._removeDiscoveryItem(processID);
+		}
+	});
+	self._updateAppDiscoveryItems(processMap);
+
+	if (self._timers.length > 0) {
+		self._stopTimers();
+		self._startTimers();
+		self._scheduleDiscoveryUpdate();
+	}
+};
+
+/**
+ * Pass values on to the sinks other than the data provider. Failures are only logged.
+ * @param {(Object.<string,*>|ZabbixDataProvider.Entry[])} values - A map of values, or a list of entries.
+ */
+PM2ZabbixMonitor.prototype._sendToSinks = function _sendToSinks(values) {
+	var self = this;
+	(self._options.sinks || []).forEach(function(sink) {
+		when.try(sink.send.bind(sink), values).done(null, function(error) {
+			self._logger.warn({ event: 'PM2ZabbixMonitor#sinkSendingError', error: error }, 'Failed to send values to %s: %s', sink.constructor.name, error.message);
+		});
+	});
+};
+
+/**
+ * Send values to Zabbix via the data provider, and to the other sinks.
+ * @param {(Object.<string,*>|ZabbixDataProvider.Entry[])} values - A map of values, or a list of entries.
+ * @returns {Promise} The promise returned by the data provider's send().
+ */
+PM2ZabbixMonitor.prototype._send = function _send(values) {
+	this._sendToSinks(values);
+	return this._dataProvider.send(values);
+};
+
+/**
+ * Send periodically collected values through the value throttle, if one has been configured, and record what has been sent.
+ * @param {Object.<string,*>} dataObject - A map of values, keyed by item key.
+ * @returns {Promise} A Promise which fulfills when the values that needed sending have been accepted by Zabbix.
+ */
+PM2ZabbixMonitor.prototype._sendThrottled = function _sendThrottled(dataObject) {
+	var throttle = this._options.valueThrottle;
+	if (!throttle) {
+		return this._send(dataObject);
+	}
+
+	// Sinks that keep the latest value anyway get everything.
+	this._sendToSinks(dataObject);
+	var toSend = throttle.filter(dataObject);
+	var sentAt = Date.now();
+	this._logger.trace({ event: 'PM2ZabbixMonitor#throttled', total: Object.keys(dataObject).length, sending: Object.keys(toSend).length }, 'Sending %d of %d values', Object.keys(toSend).length, Object.keys(dataObject).length);
+	if (Object.keys(toSend).length === 0) {
+		return when.resolve();
+	}
+	return this._dataProvider.send(toSend).then(function(result) {
+		throttle.commit(toSend, sentAt);
+		return result;
+	});
+};
+
+/**
+ * Send the complete process list of PM2-managed Node processes to Zabbix, along with the aggregates of each application (all processes sharing a name).
+ * With a value throttle, only the values that need sending are sent.
  * This is also done automatically if the "monitor" option has been set to true.
  * @returns {Promise} A Promise which fulfills if sending the entire process list has succeeded, or rejects if at least one data item has not reached Zabbix or was rejected by it.
  */
@@ -137,21 +833,96 @@ PM2ZabbixMonitor.prototype.sendProcessList = function sendProcessList() {
 	return self._tracker.getProcessMap().then(function(processMap) {
 		self._logger.trace({ event: 'PM2ZabbixMonitor#gotProcessMap', processMap: processMap });
 		var dataObject = {};
+		var metricsChanged = false;
 		Object.keys(processMap).forEach(function(processID) {
 			var processState = processMap[processID];
-			dataObject[self.getDataKey(processID, processState, 'status')] = processState.status;
-			dataObject[self.getDataKey(processID, processState, 'cpu')] = processState.resources.cpu;
-			dataObject[self.getDataKey(processID, processState, 'memory')] = processState.resources.memory;
-			dataObject[self.getDataKey(processID, processState, 'restarts')] = processState.restarts;
+			if (!self._isMonitored(processState)) {
+				return;
+			}
+			items.PROCESS_ITEMS.forEach(function(itemDefinition) {
+				if (itemDefinition.collect) {
+					dataObject[self.getDataKey(processID, processState, itemDefinition.item)] = itemDefinition.collect(processState);
+				}
+			});
+			// Restarts are only seen by listening to the tracker.
+			if (self._options.monitor) {
+				var now = Date.now();
+				var restartStats = self._restartHistory.getStats(processID, now);
+				// Without a restart seen since pm2-zabbix started, the last (re)start time known to PM2 is used.
+				var lastRestartAt = restartStats.lastRestartAt || processState.startedAt;
+				dataObject[self.getDataKey(processID, processState, 'restart_rate')] = restartStats.restartRate;
+				dataObject[self.getDataKey(processID, processState, 'last_restart')] = lastRestartAt ? Math.max(0, Math.floor((now - lastRestartAt) / 1000)) : 0;
+				dataObject[self.getDataKey(processID, processState, 'crash_loop')] = restartStats.crashLoop ? 1 : 0;
+			}
+			Object.keys(processState.metrics).forEach(function(metricName) {
+				var value = processState.metrics[metricName];
+				var metricKey = self.getMetricKey(processID, metricName, value);
+				// Numeric items cannot take text, such as "N/A" from a probe that has lost its value, so such values are skipped.
+				if (metricKey && (typeof value === 'number' || self._getMetricType(processID, metricName, value) === 'text')) {
+					dataObject[metricKey] = value;
+				}
+			});
+			// Applications may register new probes at any time, so keep their discovery up to date.
+			metricsChanged = self._updateMetricDiscoveryItems(processID, processState) || metricsChanged;
+		});
+		// Deleted processes keep reporting their status until they are dropped, so that nodata() triggers stay quiet.
+		Object.keys(self._deletedProcesses).forEach(function(processID) {
+			dataObject[self.getDataKey(processID, self._deletedProcesses[processID].state, 'status')] = 'deleted';
 		});
+		var apps = self._groupByApp(processMap);
+		Object.keys(apps).forEach(function(appName) {
+			items.APP_ITEMS.forEach(function(itemDefinition) {
+				dataObject[self.getAppDataKey(appName, itemDefinition.item)] = itemDefinition.collect(apps[appName]);
+			});
+		});
+		// The process set may have changed without an event reaching us (e.g. while disconnected from PM2).
+		var appsChanged = self._updateAppDiscoveryItems(processMap);
+		if (metricsChanged || appsChanged) {
+			self._scheduleDiscoveryUpdate();
+		}
 		self._logger.debug({ event: 'PM2ZabbixMonitor#sendProcessList', processList: dataObject }, 'Sending process list with stats');
 
-		return self._dataProvider.send(dataObject);
+		return self._sendThrottled(dataObject);
 	});
 };
 
 /**
- * Send the status of the PM2 daemon to Zabbix. This provides the process status, CPU, memory usage and the current PM2 God Daemon's process PID (if alive).
+ * Send the number of error lines each monitored process has produced since the last call, and end the error collector's rate-limiting interval.
+ * Processes without errors get a zero, so that triggers on error bursts can recover. If lines have been held back by the rate limit,
+ *  a note saying how many is sent to the process's "errors" item.
+ * This is done automatically at an interval in monitor mode, if an error log collector has been configured.
+ * @returns {Promise} A Promise which fulfills when the counts have been accepted by Zabbix.
+ */
+PM2ZabbixMonitor.prototype.sendErrorCounts = function sendErrorCounts() {
+	var self = this;
+	if (!self._options.errorLogCollector) {
+		return when.resolve();
+	}
+
+	var counts = self._options.errorLogCollector.takeCounts();
+	var processMap = self._tracker.getCachedProcessMap();
+	var dataObject = {};
+	Object.keys(processMap).forEach(function(processID) {
+		if (self._isMonitored(processMap[processID])) {
+			dataObject[self.getDataKey(processID, processMap[processID], 'error_count')] = 0;
+		}
+	});
+	Object.keys(counts).forEach(function(processID) {
+		dataObject[self.getDataKey(processID, processMap[processID], 'error_count')] = counts[processID].count;
+		if (counts[processID].suppressed > 0) {
+			dataObject[self.getDataKey(processID, processMap[processID], 'errors')] = counts[processID].suppressed + ' more error line(s) not forwarded due to the rate limit';
+		}
+	});
+	self._logger.debug({ event: 'PM2ZabbixMonitor#sendErrorCounts', errorCounts: dataObject }, 'Sending error counts');
+
+	return self._send(dataObject);
+};
+
+/**
+ * Send the status of the PM2 daemon to Zabbix. This provides the process status, CPU, memory usage and the current PM2 God Daemon's process PID (if alive),
+ *  as well as whether the tracker is connected to the daemon's bus (1) or not (0). With the "reportSelf" option, the items about pm2-zabbix itself
+ *  (see getSelfState()) are sent, too.
+ *  With a value throttle, only the values that need sending are sent.
  * This is also done automatically at an interval in monitor mode.
  * @returns {Promise} A Promise which fulfills when all data about the PM2 daemon has been accepted and processed by Zabbix.
  */
@@ -161,14 +932,160 @@ PM2ZabbixMonitor.prototype.sendPM2Status = function sendPM2Status() {
 	return self._tracker.getPM2State().then(function(processState) {
 		self._logger.trace({ event: 'PM2ZabbixMonitor#gotPM2State', processState: processState });
 		var dataObject = {};
-		dataObject[self.getManagerKey('status')] = processState.status;
-		dataObject[self.getManagerKey('cpu')] = processState.resources.cpu;
-		dataObject[self.getManagerKey('memory')] = processState.resources.memory;
-		dataObject[self.getManagerKey('pid')] = processState.pid;
+		items.MANAGER_ITEMS.forEach(function(itemDefinition) {
+			dataObject[self.getManagerKey(itemDefinition.item)] = itemDefinition.collect(processState, self._tracker);
+		});
+		if (self._options.reportSelf) {
+			Object.assign(dataObject, self._collectSelfItems('running'));
+		}
 		self._logger.debug({ event: 'PM2ZabbixMonitor#sendPM2Status', status: dataObject }, 'Sending PM2 status');
 
-		return self._dataProvider.send(dataObject);
+		return self._sendThrottled(dataObject);
 	});
 };
 
+/**
+ * Get the state of pm2-zabbix itself, which the "pm2zabbix.*" items are collected from.
+ * @param {string} status - The status to report: "running" or "stopped".
+ * @returns {SelfState}
+ */
+PM2ZabbixMonitor.prototype.getSelfState = function getSelfState(status) {
+	return {
+		status: status,
+		queue: this._dataProvider.getQueueState(),
+		sendStats: this._dataProvider.getSendStats(),
+		now: Date.now()
+	};
+};
+
+/**
+ * Collect the values of the items about pm2-zabbix itself.
+ * @param {string} status - The status to report: "running" or "stopped".
+ * @returns {Object.<string,*>} A map of values, keyed by item key.
+ */
+PM2ZabbixMonitor.prototype._collectSelfItems = function _collectSelfItems(status) {
+	var selfState = this.getSelfState(status);
+	var dataObject = {};
+	items.SELF_ITEMS.forEach(function(itemDefinition) {
+		dataObject[itemDefinition.item] = itemDefinition.collect(selfState);
+	});
+	return dataObject;
+};
+
+/**
+ * Get the current value of a single item, as a Zabbix agent passive check would. The key may be any key that this monitor sends data under:
+ *  a process item (see getDataKey()), a custom metric (see getMetricKey()), an application aggregate (see getAppDataKey()) or a PM2 daemon item (see getManagerKey()).
+ * A discovery rule key (see getDiscoveryKey()) without parameters, or with only empty ones, yields the discovery data as JSON. This lets a single
+ *  flexible UserParameter, such as "pm2.processes[*]", serve both the discovery rule and its items, since the agent does not allow two UserParameters of the same name.
+ * The value is read live from PM2, so the monitor only needs to have been started, not to run in monitor mode.
+ * @param {string} key - The item key, e.g. "pm2.processes[Application-0,memory]".
+ * @returns {Promise} A promise which fulfills with the value, or with undefined if the key refers to a process, application or PM2 instance
+ *  that this monitor does not watch. It rejects if the key is malformed, or names an item that cannot be queried this way.
+ */
+PM2ZabbixMonitor.prototype.getValue = function getValue(key) {
+	var self = this;
+
+	return when.try(function() {
+		var parsedKey = items.parseKey(key);
+		var parameters = parsedKey.parameters;
+		// The discovery lists served under each discovery rule key. Numeric and text metrics are discovered from the same list.
+		var discoveryLists = {};
+		[ 'processes', 'metrics', 'apps', 'instances' ].forEach(function(listName) {
+			discoveryLists[self.getDiscoveryKey(listName)] = listName;
+		});
+		discoveryLists[self.getDiscoveryKey('metrics.text')] = 'metrics';
+		var isParameterless = parameters.every(function(parameter) {
+			return parameter === '';
+		});
+		// Process IDs and application names carry the instance name as a prefix, so other monitors' ones are recognized and skipped.
+		var prefix = self._options.instance ? self._options.instance + ':' : '';
+		function ownName(qualifiedName) {
+			return (qualifiedName.slice(0, prefix.length) === prefix) ? qualifiedName.slice(prefix.length) : null;
+		}
+		function findItem(itemList, itemName) {
+			var itemDefinition = itemList.filter(function(candidate) {
+				return candidate.item === itemName;
+			})[0];
+			if (!itemDefinition) {
+				throw new Error('Unknown item "' + itemName + '" in key ' + key);
+			}
+			if (!itemDefinition.collect) {
+				throw new Error('The item ' + key + ' is only sent by the monitoring daemon (--monitor) and cannot be queried');
+			}
+			return itemDefinition;
+		}
+
+		if (isParameterless && discoveryLists.hasOwnProperty(parsedKey.name)) {
+			// Outside of monitor mode, nothing refreshes the process list periodically, so it is re-read now.
+			return when(self._options.monitor || self._tracker.refresh()).then(function() {
+				return JSON.stringify(self._dataProvider.getDiscoveryData(discoveryLists[parsedKey.name]));
+			});
+		}
+		if (parsedKey.name === 'pm2.processes' && parameters.length === 2) {
+			var processItem = findItem(items.PROCESS_ITEMS, parameters[1]);
+			return self._tracker.getProcessMap().then(function(processMap) {
+				var processState = processMap[ownName(parameters[0])];
+				if (!processState && self._deletedProcesses[ownName(parameters[0])] && processItem.item === 'status') {
+					return 'deleted';
+				}
+				return (processState && self._isMonitored(processState)) ? processItem.collect(processState) : undefined;
+			});
+		}
+		if ((parsedKey.name === 'pm2.metrics' || parsedKey.name === 'pm2.metrics.text') && parameters.length === 2) {
+			return self._tracker.getProcessMap().then(function(processMap) {
+				var processState = processMap[ownName(parameters[0])];
+				if (!processState || !self._isMonitored(processState)) {
+					return undefined;
+				}
+				var metricValue = processState.metrics[parameters[1]];
+				// A numeric item would turn unsupported on text, so tell why instead.
+				if (parsedKey.name === 'pm2.metrics' && metricValue !== undefined && typeof metricValue !== 'number') {
+					throw new Error('The metric ' + key + ' has no numeric value at the moment: ' + metricValue);
+				}
+				return metricValue;
+			});
+		}
+		if (parsedKey.name === 'pm2.apps' && parameters.length === 2) {
+			var appItem = findItem(items.APP_ITEMS, parameters[1]);
+			return self._tracker.getProcessMap().then(function(processMap) {
+				var processStates = self._groupByApp(processMap)[ownName(parameters[0])];
+				return processStates ? appItem.collect(processStates) : undefined;
+			});
+		}
+		if (/^pm2\.[^.]+$/.test(parsedKey.name) && parameters.length <= 1) {
+			var managerItem = findItem(items.MANAGER_ITEMS, parsedKey.name.slice('pm2.'.length));
+			if ((parameters[0] || undefined) !== self._options.instance) {
+				return undefined;
+			}
+			return self._tracker.getPM2State().then(function(daemonState) {
+				return managerItem.collect(daemonState, self._tracker);
+			});
+		}
+		throw new Error('Unsupported item key: ' + key);
+	});
+};
+
+/**
+ * Send the current discovery data (the list of known processes) to Zabbix as a trapper value of the "pm2.processes" key.
+ * The custom metric list is sent to both "pm2.metrics" and "pm2.metrics.text", which are the discovery rules for numeric and text metrics,
+ *  and the application list to "pm2.apps".
+ * With a named PM2 instance, the list of instances is sent to "pm2.instances" as well.
+ * This is also done automatically in monitor mode if the "pushDiscovery" option is on.
+ * @returns {Promise} A Promise which fulfills when the discovery data has been accepted by Zabbix.
+ */
+PM2ZabbixMonitor.prototype.sendDiscoveryData = function sendDiscoveryData() {
+	var dataObject = {};
+	var metricDiscoveryData = JSON.stringify(this._dataProvider.getDiscoveryData('metrics'));
+	dataObject[this.getDiscoveryKey('processes')] = JSON.stringify(this._dataProvider.getDiscoveryData('processes'));
+	dataObject[this.getDiscoveryKey('metrics')] = metricDiscoveryData;
+	dataObject[this.getDiscoveryKey('metrics.text')] = metricDiscoveryData;
+	dataObject[this.getDiscoveryKey('apps')] = JSON.stringify(this._dataProvider.getDiscoveryData('apps'));
+	if (this._options.instance) {
+		dataObject[this.getDiscoveryKey('instances')] = JSON.stringify(this._dataProvider.getDiscoveryData('instances'));
+	}
+	this._logger.debug({ event: 'PM2ZabbixMonitor#sendDiscoveryData', discoveryData: dataObject }, 'Sending discovery data');
+
+	return this._dataProvider.send(dataObject);
+};
+
 module.exports = PM2ZabbixMonitor;
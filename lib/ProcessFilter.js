@@ -0,0 +1,57 @@
+/**
+ * A ProcessFilter decides which PM2-managed processes should be monitored, based on their names.
+ * Patterns are either globs ("cron-*", "worker-?") or regular expressions written between slashes ("/^tmp-/i").
+ * A process is monitored if it matches at least one include pattern (or no include patterns are given),
+ *  and matches none of the exclude patterns.
+ * @constructor
+ * @param {Object} [patterns] - The filter definition.
+ * @param {string[]} [patterns.include=[]] - Patterns of process names to monitor. If empty, all processes are included.
+ * @param {string[]} [patterns.exclude=[]] - Patterns of process names to leave out, even if included.
+ * @throws {Error} If any of the patterns is not a valid regular expression.
+ */
+function ProcessFilter(patterns) {
+	patterns = patterns || {};
+	this._include = (patterns.include || []).map(ProcessFilter.compilePattern);
+	this._exclude = (patterns.exclude || []).map(ProcessFilter.compilePattern);
+}
+
+/**
+ * Turn a filter pattern into a regular expression.
+ * @static
+ * @param {string} pattern - A glob, or a regular expression enclosed in slashes, optionally followed by flags.
+ * @returns {RegExp}
+ * @throws {Error} If the pattern looks like a regular expression, but is not a valid one.
+ */
+ProcessFilter.compilePattern = function compilePattern(pattern) {
+	var regexpMatch = /^\/(.*)\/([a-z]*)$/.exec(pattern);
+	if (regexpMatch) {
+		try {
+			// The global flag would make test() stateful, so it is dropped.
+			return new RegExp(regexpMatch[1], regexpMatch[2].replace(/g/g, ''));
+		}
+		catch (error) {
+			throw new Error('Invalid regular expression ' + pattern + ': ' + error.message);
+		}
+	}
+
+	// A glob: escape everything but the wildcards, and anchor it, since globs match whole names.
+	var source = String(pattern).replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+	return new RegExp('^' + source + '$');
+};
+
+/**
+ * Check whether a process should be monitored.
+ * @param {string} processName - The name of the process, as known to PM2.
+ * @returns {boolean}
+ */
+ProcessFilter.prototype.matches = function matches(processName) {
+	function test(regexp) {
+		return regexp.test(processName);
+	}
+	if (this._include.length > 0 && !this._include.some(test)) {
+		return false;
+	}
+	return !this._exclude.some(test);
+};
+
+module.exports = ProcessFilter;
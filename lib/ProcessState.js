@@ -1,3 +1,15 @@
+/**
+ * What is known about the code a process runs. PM2 records the application's package version, and the versioning metadata
+ *  of the repository the application is in, if any (git, Mercurial or Subversion). Unknown values are empty strings.
+ * @typedef {Object} ProcessState.Deployment
+ * @property {string} version - The version from the application's package.json.
+ * @property {string} repository - The URL of the repository the application was checked out from, without credentials.
+ * @property {string} branch - The checked out branch.
+ * @property {string} revision - The checked out revision, e.g. a git commit hash.
+ * @property {string} comment - The commit message of that revision.
+ * @property {number} [updatedAt] - When PM2 last read the versioning metadata - usually when the process was last started - as a timestamp in milliseconds.
+ */
+
 /**
  * ProcessState is a container type that holds run-time information about a process.
  * @constructor
@@ -8,7 +20,19 @@
  * @param {number} processObject.resources.cpu - CPU usage in percent.
  * @param {number} processObject.resources.memory - Allocated memory (RSS) in bytes.
  * @param {number} processObject.restarts - The number of restarts since first starting the process. Note that some operations, such as a manual stop-start cycle, may not count as restarts under PM2.
- * @param {number} processObject.pid - The PID of the process. For now, this is only populated for the PM2 master process, not for Node processes managed by it.
+ * @param {number} processObject.pid - The PID of the process. Zero (or undefined) if the process is not running.
+ * @param {Object.<string,(number|string)>} [processObject.metrics={}] - Custom metrics (probes) published by the application via pmx or @pm2/io, keyed by metric name.
+ * @param {number} [processObject.startedAt] - When the process was last (re)started, as a timestamp in milliseconds. Used for computing the uptime.
+ * @param {number} [processObject.createdAt] - When the process was first added to PM2, as a timestamp in milliseconds.
+ * @param {number} [processObject.unstableRestarts] - The number of restarts PM2 has considered unstable (the process exited too soon after starting).
+ * @param {string} [processObject.execMode] - How PM2 runs the process: "fork" or "cluster".
+ * @param {string} [processObject.nodeVersion] - The version of Node.js the process runs on.
+ * @param {string} [processObject.interpreter] - The interpreter used for running the process, e.g. "node" or "none".
+ * @param {boolean} [processObject.autorestart] - Whether PM2 restarts the process automatically when it exits.
+ * @param {boolean} [processObject.watch] - Whether PM2 restarts the process when its files change.
+ * @param {number} [processObject.instances] - The number of instances the process's application has been configured to run with. Not given if PM2 chose the number (e.g. "max").
+ *  Zero or negative if PM2 decides (e.g. "max", one per CPU).
+ * @param {ProcessState.Deployment} [processObject.deployment] - The version and revision of the code the process runs.
  */
 function ProcessState(processObject) {
 	this.name = processObject.name;
@@ -16,8 +40,31 @@ function ProcessState(processObject) {
 	this.resources = processObject.resources;
 	this.restarts = processObject.restarts;
 	this.pid = processObject.pid;
+	this.metrics = processObject.metrics || {};
+	this.startedAt = processObject.startedAt;
+	this.createdAt = processObject.createdAt;
+	this.unstableRestarts = processObject.unstableRestarts;
+	this.execMode = processObject.execMode;
+	this.nodeVersion = processObject.nodeVersion;
+	this.interpreter = processObject.interpreter;
+	this.autorestart = processObject.autorestart;
+	this.watch = processObject.watch;
+	this.instances = processObject.instances;
+	this.deployment = processObject.deployment;
 }
 
+/**
+ * Compute how long the process has been running since it was last (re)started.
+ * @param {number} [now=Date.now()] - The current time, as a timestamp in milliseconds.
+ * @returns {number} The uptime in whole seconds. Zero if the process is not online or its start time is unknown.
+ */
+ProcessState.prototype.getUptime = function getUptime(now) {
+	if (this.status !== 'online' || !this.startedAt) {
+		return 0;
+	}
+	return Math.max(0, Math.floor(((now || Date.now()) - this.startedAt) / 1000));
+};
+
 /**
  * Check whether a process state is roughly equivalent to another.
  * This compares the status to determine if the process's condition is qualitatively the same.
@@ -28,4 +75,18 @@ ProcessState.prototype.equals = function equals(anotherState) {
 	return anotherState && anotherState.status === this.status;
 };
 
+/**
+ * Check whether a process state describes the same deployed code as another: the same package version and revision, of the same repository and branch.
+ * The time at which PM2 read the versioning metadata does not count, since PM2 reads it again on every start.
+ * @param {ProcessState} anotherState - Another state object to compare this state to.
+ * @returns {boolean}
+ */
+ProcessState.prototype.isSameDeployment = function isSameDeployment(anotherState) {
+	var deployment = this.deployment || {};
+	var otherDeployment = (anotherState && anotherState.deployment) || {};
+	return [ 'version', 'repository', 'branch', 'revision' ].every(function(field) {
+		return (deployment[field] || '') === (otherDeployment[field] || '');
+	});
+};
+
 module.exports = ProcessState;
@@ -0,0 +1,195 @@
+var http = require('http');
+var when = require('when');
+
+var MetricMapper = require('./MetricMapper');
+var nullLogger = require('./nullLogger');
+
+/**
+ * Escape a label value for the Prometheus text format.
+ * @param {string} value - The raw label value.
+ * @returns {string}
+ */
+function escapeLabelValue(value) {
+	return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format the labels of a series, e.g. '{app="api",pm_id="0"}'.
+ * @param {Object.<string,string>} labels - The labels.
+ * @returns {string} The formatted labels, or an empty string if there are none.
+ */
+function formatLabels(labels) {
+	var names = Object.keys(labels).sort();
+	if (names.length === 0) {
+		return '';
+	}
+	return '{' + names.map(function(name) {
+		return name + '="' + escapeLabelValue(labels[name]) + '"';
+	}).join(',') + '}';
+}
+
+/**
+ * A PrometheusSink keeps the latest value of every metric that pm2-zabbix collects and serves them over HTTP in the Prometheus text format,
+ *  so that Prometheus can scrape the same data that is sent to Zabbix. Values are translated into metrics by a MetricMapper.
+ * It implements the same send() and discovery item interface as ZabbixDataProvider, so that a PM2ZabbixMonitor can use it as an additional sink.
+ * Series that have not been updated for a while (e.g. of deleted processes) are dropped, so that they do not linger on.
+ * @constructor
+ * @param {Object} [options] - Exporter settings.
+ * @param {number} [options.port=9209] - The TCP port to serve the metrics on.
+ * @param {string} [options.listenIP] - The address to listen on. By default, all addresses.
+ * @param {string} [options.path="/metrics"] - The URL path to serve the metrics under.
+ * @param {number} [options.expireAfter=600000] - The time (ms) after which a series that has not been updated is dropped.
+ *  Should be longer than the longest sending interval.
+ * @param {Object} [options.logger] - A bunyan-compatible logger.
+ */
+function PrometheusSink(options) {
+	options = options || {};
+	this._port = Number(options.port) || 9209;
+	this._listenIP = options.listenIP || undefined;
+	this._path = options.path || '/metrics';
+	this._expireAfter = options.expireAfter || 10 * 60 * 1000;
+	this._logger = options.logger || nullLogger;
+	this._mapper = new MetricMapper();
+	/**
+	 * The latest sample of each series, keyed by metric name and labels, along with when it was updated.
+	 * @type {Object.<string,{sample: MetricMapper.Sample, updatedAt: number}>}
+	 */
+	this._series = {};
+	/**
+	 * The HTTP server, while listening.
+	 * @type {?http.Server}
+	 */
+	this._server = null;
+}
+
+/**
+ * Record the latest values. Values that cannot be translated into metrics (e.g. error lines) are ignored.
+ * @param {(Object.<string,*>|ZabbixDataProvider.Entry[])} values - A map of values, or a list of entries, keyed by Zabbix item key.
+ * @returns {Promise} A promise which fulfills when the values have been recorded.
+ */
+PrometheusSink.prototype.send = function send(values) {
+	var self = this;
+	var now = Date.now();
+	self._mapper.mapValues(values).forEach(function(sample) {
+		self._series[sample.name + formatLabels(sample.labels)] = { sample: sample, updatedAt: now };
+	});
+	return when.resolve();
+};
+
+/**
+ * Register a discovered process or application, whose labels are then used for its metrics.
+ * @param {Object} item - The discovery item.
+ * @param {string} [listName="processes"] - The discovery list that the item belongs to.
+ */
+PrometheusSink.prototype.addDiscoveryItem = function addDiscoveryItem(item, listName) {
+	this._mapper.addDiscoveryItem(item, listName);
+};
+
+/**
+ * Forget discovered processes or applications.
+ * @param {Object} removalSpecification - A key-value map to compare discovery items against.
+ * @param {string} [listName="processes"] - The discovery list to remove items from.
+ */
+PrometheusSink.prototype.removeDiscoveryItems = function removeDiscoveryItems(removalSpecification, listName) {
+	this._mapper.removeDiscoveryItems(removalSpecification, listName);
+};
+
+/**
+ * Render the current metrics in the Prometheus text exposition format, dropping expired series first.
+ * @param {number} [now=Date.now()] - The current time, in milliseconds.
+ * @returns {string}
+ */
+PrometheusSink.prototype.render = function render(now) {
+	var self = this;
+	now = now || Date.now();
+	var samplesByName = {};
+	Object.keys(self._series).forEach(function(seriesID) {
+		var series = self._series[seriesID];
+		if (now - series.updatedAt > self._expireAfter) {
+			delete self._series[seriesID];
+			return;
+		}
+		samplesByName[series.sample.name] = samplesByName[series.sample.name] || [];
+		samplesByName[series.sample.name].push(series.sample);
+	});
+
+	return Object.keys(samplesByName).sort().map(function(name) {
+		var samples = samplesByName[name];
+		var lines = [
+			'# HELP ' + name + ' ' + samples[0].help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n'),
+			'# TYPE ' + name + ' ' + (samples[0].type === 'counter' ? 'counter' : 'gauge')
+		];
+		samples.forEach(function(sample) {
+			if (sample.type === 'info') {
+				var labels = Object.assign({}, sample.labels);
+				labels[sample.valueLabel] = sample.value;
+				lines.push(name + formatLabels(labels) + ' 1');
+			}
+			else {
+				lines.push(name + formatLabels(sample.labels) + ' ' + sample.value);
+			}
+		});
+		return lines.join('\n') + '\n';
+	}).join('');
+};
+
+/**
+ * Handle an HTTP request: serve the metrics under the configured path, and nothing else.
+ * @param {http.IncomingMessage} request - The request.
+ * @param {http.ServerResponse} response - The response.
+ */
+PrometheusSink.prototype._handleRequest = function _handleRequest(request, response) {
+	var requestPath = String(request.url).split('?')[0];
+	if (requestPath !== this._path || (request.method !== 'GET' && request.method !== 'HEAD')) {
+		response.writeHead(404, { 'Content-Type': 'text/plain' });
+		response.end('Not found - metrics are served under ' + this._path + '\n');
+		return;
+	}
+	var body = this.render();
+	// Scrapes are far apart, and idle keep-alive connections would hold up close().
+	response.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8', 'Content-Length': Buffer.byteLength(body), 'Connection': 'close' });
+	response.end(request.method === 'HEAD' ? undefined : body);
+};
+
+/**
+ * Start serving the metrics.
+ * @returns {Promise} A promise which fulfills when the exporter is accepting connections, or rejects if it cannot listen (e.g. the port is taken).
+ */
+PrometheusSink.prototype.listen = function listen() {
+	var self = this;
+
+	return when.promise(function(resolve, reject) {
+		var server = http.createServer(function(request, response) {
+			self._handleRequest(request, response);
+		});
+		server.once('error', reject);
+		server.listen(self._port, self._listenIP, function() {
+			server.removeListener('error', reject);
+			server.on('error', function(error) {
+				self._logger.error({ event: 'PrometheusSink#serverError', error: error }, 'Prometheus exporter error: %s', error.message);
+			});
+			self._server = server;
+			self._logger.info({ event: 'PrometheusSink#listening', port: self._port, listenIP: self._listenIP, path: self._path }, 'Serving Prometheus metrics on port %d', self._port);
+			resolve();
+		});
+	});
+};
+
+/**
+ * Stop serving the metrics.
+ * @returns {Promise} A promise which fulfills when the exporter has stopped.
+ */
+PrometheusSink.prototype.close = function close() {
+	var server = this._server;
+	this._server = null;
+	if (!server) {
+		return when.resolve();
+	}
+	return when.promise(function(resolve) {
+		server.close(function() {
+			resolve();
+		});
+	});
+};
+
+module.exports = PrometheusSink;
@@ -0,0 +1,102 @@
+/**
+ * A RestartHistory keeps a sliding window of the restarts of each process, as seen in the tracker's state changes, and derives
+ *  the restart rate, the time of the last restart and whether a process is in a crash loop from it.
+ * PM2's own restart counter only ever grows, which makes a process that is flapping hard to tell from one that restarted a few times over weeks.
+ * A restart is any return to "online" from another status (e.g. "errored", "stopped" or "launching"). A process's first start is not a restart.
+ * @constructor
+ * @param {Object} [options] - History settings.
+ * @param {number} [options.window=300000] - The length (ms) of the sliding window that restarts are counted in.
+ * @param {number} [options.threshold=5] - How many restarts within the window make a crash loop.
+ */
+function RestartHistory(options) {
+	/**
+	 * Restart times (in milliseconds) of each process, oldest first. Only restarts within the window are kept.
+	 * @type {Object.<string,number[]>}
+	 */
+	this._restarts = {};
+	/**
+	 * The time of the last restart of each process, kept even after it leaves the window.
+	 * @type {Object.<string,number>}
+	 */
+	this._lastRestarts = {};
+	this.configure(options);
+}
+
+/**
+ * Change the window and threshold. Restarts recorded so far are kept.
+ * @param {Object} [options] - History settings, as for the constructor.
+ */
+RestartHistory.prototype.configure = function configure(options) {
+	options = options || {};
+	this._window = options.window || 5 * 60 * 1000;
+	this._threshold = options.threshold || 5;
+};
+
+/**
+ * Drop the restarts of a process that have left the window.
+ * @param {string} processID - Synthetic ID of the process.
+ * @param {number} now - The current time, in milliseconds.
+ * @returns {number[]} The remaining restart times.
+ */
+RestartHistory.prototype._prune = function _prune(processID, now) {
+	var oldestAllowed = now - this._window;
+	var restarts = (this._restarts[processID] || []).filter(function(restartTime) {
+		return restartTime > oldestAllowed;
+	});
+	if (restarts.length > 0) {
+		this._restarts[processID] = restarts;
+	}
+	else {
+		delete this._restarts[processID];
+	}
+	return restarts;
+};
+
+/**
+ * Record a status change of a process, counting it as a restart if the process has come back online.
+ * @param {string} processID - Synthetic ID of the process.
+ * @param {?string} oldStatus - The previous status. Unknown (undefined or null) for a process seen for the first time.
+ * @param {string} newStatus - The new status.
+ * @param {number} [at=Date.now()] - When the change happened, in milliseconds.
+ * @returns {boolean} Whether the change has been counted as a restart.
+ */
+RestartHistory.prototype.record = function record(processID, oldStatus, newStatus, at) {
+	if (!oldStatus || oldStatus === 'online' || newStatus !== 'online') {
+		return false;
+	}
+	at = at || Date.now();
+	var restarts = this._prune(processID, at);
+	restarts.push(at);
+	this._restarts[processID] = restarts;
+	this._lastRestarts[processID] = Math.max(this._lastRestarts[processID] || 0, at);
+	return true;
+};
+
+/**
+ * Forget a process, e.g. after it has been deleted from PM2.
+ * @param {string} processID - Synthetic ID of the process.
+ */
+RestartHistory.prototype.forget = function forget(processID) {
+	delete this._restarts[processID];
+	delete this._lastRestarts[processID];
+};
+
+/**
+ * Get the restart statistics of a process.
+ * @param {string} processID - Synthetic ID of the process.
+ * @param {number} [now=Date.now()] - The current time, in milliseconds.
+ * @returns {{restartRate: number, restarts: number, lastRestartAt: ?number, crashLoop: boolean}} The number of restarts per minute
+ *  (averaged over the window), the number of restarts within the window, when the process last restarted (null if no restart has been seen),
+ *  and whether the number of restarts within the window has reached the crash loop threshold.
+ */
+RestartHistory.prototype.getStats = function getStats(processID, now) {
+	var restarts = this._prune(processID, now || Date.now());
+	return {
+		restartRate: restarts.length / (this._window / 60000),
+		restarts: restarts.length,
+		lastRestartAt: this._lastRestarts[processID] || null,
+		crashLoop: restarts.length >= this._threshold
+	};
+};
+
+module.exports = RestartHistory;
@@ -0,0 +1,171 @@
+var dgram = require('dgram');
+var net = require('net');
+var when = require('when');
+var nodefn = require('when/node');
+
+var MetricMapper = require('./MetricMapper');
+var nullLogger = require('./nullLogger');
+
+/**
+ * The largest payload put into one UDP packet, which keeps packets below the usual Ethernet MTU.
+ * @type {number}
+ */
+var MAX_PACKET_LENGTH = 1432;
+
+/**
+ * Replace characters that StatsD uses as separators (":", "|", "@", "#", ",") or that would split a metric path.
+ * @param {string} text - A metric name part or tag value.
+ * @returns {string}
+ */
+function sanitize(text) {
+	return String(text).replace(/[^A-Za-z0-9_\-]/g, '_');
+}
+
+/**
+ * Join lines into packets of at most MAX_PACKET_LENGTH bytes. A line longer than that gets a packet of its own.
+ * @param {string[]} lines - The lines to send.
+ * @returns {Buffer[]}
+ */
+function toPackets(lines) {
+	var packets = [];
+	var current = '';
+	lines.forEach(function(line) {
+		if (current !== '' && Buffer.byteLength(current + '\n' + line) > MAX_PACKET_LENGTH) {
+			packets.push(current);
+			current = '';
+		}
+		current = (current === '') ? line : current + '\n' + line;
+	});
+	if (current !== '') {
+		packets.push(current);
+	}
+	return packets.map(function(packet) {
+		return Buffer.from(packet, 'utf-8');
+	});
+}
+
+/**
+ * A StatsDSink sends the metrics that pm2-zabbix collects to a StatsD server over UDP, as gauges. Values are translated into metrics by a MetricMapper,
+ *  and text values (which StatsD cannot represent) are left out.
+ * Plain StatsD has no labels, so they are appended to the metric name as path components, e.g. "pm2_process_cpu_percent.api.0".
+ *  Servers that understand DogStatsD tags (such as Datadog's agent or Telegraf) can get them as tags instead, e.g. "pm2_process_cpu_percent:1.5|g|#app:api,pm_id:0".
+ * It implements the same send() and discovery item interface as ZabbixDataProvider, so that a PM2ZabbixMonitor can use it as an additional sink.
+ * @constructor
+ * @param {Object} [options] - Sink settings.
+ * @param {string} [options.host="127.0.0.1"] - The StatsD server.
+ * @param {number} [options.port=8125] - The StatsD server's UDP port.
+ * @param {string} [options.prefix=""] - A prefix for all metric names, e.g. "servers.web1.".
+ * @param {boolean} [options.tags=false] - Whether to send labels as DogStatsD tags rather than as part of the name.
+ * @param {Object} [options.logger] - A bunyan-compatible logger.
+ */
+function StatsDSink(options) {
+	options = options || {};
+	this._host = options.host || '127.0.0.1';
+	this._port = Number(options.port) || 8125;
+	this._prefix = options.prefix || '';
+	this._tags = Boolean(options.tags);
+	this._logger = options.logger || nullLogger;
+	this._mapper = new MetricMapper();
+	/**
+	 * The UDP socket, created on first use.
+	 * @type {?dgram.Socket}
+	 */
+	this._socket = null;
+}
+
+/**
+ * Format a sample as a StatsD gauge line.
+ * @param {MetricMapper.Sample} sample - The sample.
+ * @returns {string}
+ */
+StatsDSink.prototype._formatLine = function _formatLine(sample) {
+	var labelNames = Object.keys(sample.labels).sort();
+	if (this._tags) {
+		var tags = labelNames.map(function(labelName) {
+			return labelName + ':' + sanitize(sample.labels[labelName]);
+		});
+		return this._prefix + sample.name + ':' + sample.value + '|g' + (tags.length > 0 ? '|#' + tags.join(',') : '');
+	}
+	var path = [ this._prefix + sample.name ].concat(labelNames.map(function(labelName) {
+		return sanitize(sample.labels[labelName]);
+	}));
+	return path.join('.') + ':' + sample.value + '|g';
+};
+
+/**
+ * Get the UDP socket, creating it if necessary. The socket does not keep the process alive.
+ * @returns {dgram.Socket}
+ */
+StatsDSink.prototype._getSocket = function _getSocket() {
+	var self = this;
+	if (!self._socket) {
+		self._socket = dgram.createSocket(net.isIPv6(self._host) ? 'udp6' : 'udp4');
+		self._socket.on('error', function(error) {
+			self._logger.error({ event: 'StatsDSink#socketError', error: error }, 'StatsD socket error: %s', error.message);
+		});
+		self._socket.unref();
+	}
+	return self._socket;
+};
+
+/**
+ * Send values to StatsD. Values that cannot be translated into metrics (e.g. error lines and text values) are left out.
+ * @param {(Object.<string,*>|ZabbixDataProvider.Entry[])} values - A map of values, or a list of entries, keyed by Zabbix item key.
+ * @returns {Promise} A promise which fulfills when the packets have been handed to the network, or rejects if that fails.
+ *  As UDP goes, this does not mean that the server has received them.
+ */
+StatsDSink.prototype.send = function send(values) {
+	var self = this;
+	var lines = self._mapper.mapValues(values).filter(function(sample) {
+		return sample.type !== 'info';
+	}).map(function(sample) {
+		return self._formatLine(sample);
+	});
+	if (lines.length === 0) {
+		return when.resolve();
+	}
+
+	var socket = self._getSocket();
+	return when.all(toPackets(lines).map(function(packet) {
+		return nodefn.call(socket.send.bind(socket), packet, 0, packet.length, self._port, self._host);
+	})).then(function() {
+		self._logger.trace({ event: 'StatsDSink#sent', lines: lines.length }, 'Sent %d metrics to StatsD', lines.length);
+	});
+};
+
+/**
+ * Register a discovered process or application, whose labels are then used for its metrics.
+ * @param {Object} item - The discovery item.
+ * @param {string} [listName="processes"] - The discovery list that the item belongs to.
+ */
+StatsDSink.prototype.addDiscoveryItem = function addDiscoveryItem(item, listName) {
+	this._mapper.addDiscoveryItem(item, listName);
+};
+
+/**
+ * Forget discovered processes or applications.
+ * @param {Object} removalSpecification - A key-value map to compare discovery items against.
+ * @param {string} [listName="processes"] - The discovery list to remove items from.
+ */
+StatsDSink.prototype.removeDiscoveryItems = function removeDiscoveryItems(removalSpecification, listName) {
+	this._mapper.removeDiscoveryItems(removalSpecification, listName);
+};
+
+/**
+ * Close the UDP socket. It is created again if more values are sent.
+ * @returns {Promise} A promise which fulfills when the socket has been closed.
+ */
+StatsDSink.prototype.close = function close() {
+	var socket = this._socket;
+	this._socket = null;
+	if (!socket) {
+		return when.resolve();
+	}
+	return when.promise(function(resolve) {
+		socket.close(function() {
+			resolve();
+		});
+	});
+};
+
+module.exports = StatsDSink;
@@ -0,0 +1,760 @@
+var crypto = require('crypto');
+var yaml = require('js-yaml');
+var items = require('./items');
+
+/**
+ * The name of the generated template, also used as the host part of trigger expressions.
+ * @type {string}
+ */
+var TEMPLATE_NAME = 'Template App PM2';
+/**
+ * The host group that the template is put in.
+ * @type {string}
+ */
+var GROUP_NAME = 'PM2';
+
+/**
+ * Zabbix value types, as numbers (3.0) and as names (5.0 and later).
+ * @type {Object.<string,{code: number, name: string}>}
+ */
+var VALUE_TYPES = {
+	float: { code: 0, name: 'FLOAT' },
+	char: { code: 1, name: 'CHAR' },
+	log: { code: 2, name: 'LOG' },
+	unsigned: { code: 3, name: 'UNSIGNED' },
+	text: { code: 4, name: 'TEXT' }
+};
+
+/**
+ * Trigger severities, as numbers (3.0) and as names (5.0 and later).
+ * @type {Object.<string,{code: number, name: string}>}
+ */
+var PRIORITIES = {
+	info: { code: 1, name: 'INFO' },
+	warning: { code: 2, name: 'WARNING' },
+	average: { code: 3, name: 'AVERAGE' },
+	high: { code: 4, name: 'HIGH' }
+};
+
+/**
+ * Item and discovery rule types used by the template, as numbers (3.0) and as names (5.0 and later).
+ * @type {Object.<string,{code: number, name: string}>}
+ */
+var ITEM_TYPES = {
+	trapper: { code: 2, name: 'TRAP' },
+	agent: { code: 7, name: 'ZABBIX_ACTIVE' }
+};
+
+/**
+ * Turn a name into a stable UUID (version 4 format, as Zabbix 6.0 requires), so that re-importing a regenerated template updates the existing entities.
+ * @param {string} seed - A string that identifies the entity, such as its key.
+ * @returns {string} 32 hexadecimal digits.
+ */
+function stableUUID(seed) {
+	var digits = crypto.createHash('md5').update(TEMPLATE_NAME + '/' + seed).digest('hex').split('');
+	digits[12] = '4';
+	digits[16] = '89ab'[parseInt(digits[16], 16) % 4];
+	return digits.join('');
+}
+
+/**
+ * Get the name of an XML element that holds a single entry of a list, e.g. "item" for "items" and "dependency" for "dependencies".
+ * @param {string} listName - The element name of the list.
+ * @returns {string}
+ */
+function singular(listName) {
+	return /ies$/.test(listName) ? listName.replace(/ies$/, 'y') : listName.replace(/s$/, '');
+}
+
+/**
+ * Escape text for use in XML.
+ * @param {*} text - The text to escape.
+ * @returns {string}
+ */
+function escapeXML(text) {
+	return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Serialize a value as an XML element, the way Zabbix exports do: lists become an element per entry, named after the list,
+ *  and empty values become empty elements.
+ * @param {string} name - The element name.
+ * @param {*} value - A string, number, object or array.
+ * @param {string} indentation - The indentation of the element.
+ * @returns {string}
+ */
+function toXMLElement(name, value, indentation) {
+	var childIndentation = indentation + '    ';
+	var children;
+	if (Array.isArray(value)) {
+		children = value.map(function(entry) {
+			return toXMLElement(singular(name), entry, childIndentation);
+		});
+	}
+	else if (value !== null && typeof value === 'object') {
+		children = Object.keys(value).map(function(childName) {
+			return toXMLElement(childName, value[childName], childIndentation);
+		});
+	}
+	else if (value === '' || value === undefined || value === null) {
+		return indentation + '<' + name + '/>\n';
+	}
+	else {
+		return indentation + '<' + name + '>' + escapeXML(value) + '</' + name + '>\n';
+	}
+
+	if (children.length === 0) {
+		return indentation + '<' + name + '/>\n';
+	}
+	return indentation + '<' + name + '>\n' + children.join('') + indentation + '</' + name + '>\n';
+}
+
+/**
+ * A TemplateGenerator builds the Zabbix template for pm2-zabbix out of the item definitions in items.js, for a given Zabbix version.
+ * The template contains the PM2 daemon and pm2-zabbix items, the discovery rules for processes, custom metrics and PM2 instances
+ *  with their item, trigger and graph prototypes, and the daemon triggers.
+ * @constructor
+ * @param {Object} [options] - Generator settings.
+ * @param {string} [options.zabbixVersion="3.0"] - The Zabbix version to generate the template for. One of SUPPORTED_VERSIONS.
+ * @param {boolean} [options.pushDiscovery=false] - Whether discovery data is pushed by pm2-zabbix (see --push-discovery). Discovery rules are then of the
+ *  "Zabbix trapper" type instead of "Zabbix agent (active)".
+ * @param {Date} [options.date=new Date()] - The export date recorded in the template.
+ * @throws {Error} If the Zabbix version is not supported.
+ */
+function TemplateGenerator(options) {
+	options = options || {};
+	this._zabbixVersion = String(options.zabbixVersion || '3.0');
+	if (TemplateGenerator.SUPPORTED_VERSIONS.indexOf(this._zabbixVersion) < 0) {
+		throw new Error('Unsupported Zabbix version "' + this._zabbixVersion + '" - use one of: ' + TemplateGenerator.SUPPORTED_VERSIONS.join(', '));
+	}
+	this._pushDiscovery = Boolean(options.pushDiscovery);
+	this._date = options.date || new Date();
+}
+
+/**
+ * The Zabbix versions that templates can be generated for.
+ * @type {string[]}
+ */
+TemplateGenerator.SUPPORTED_VERSIONS = [ '3.0', '5.0', '6.0' ];
+
+/**
+ * The output formats, each with the first Zabbix version that can import it.
+ * @type {Object.<string,string>}
+ */
+TemplateGenerator.FORMATS = {
+	xml: '3.0',
+	yaml: '6.0'
+};
+
+/**
+ * Describe the contents of the template independently of the Zabbix version: items, discovery rules with their prototypes, and triggers.
+ * Trigger conditions are kept abstract (see _renderExpression()), since the expression syntax differs between versions.
+ * @returns {Object}
+ */
+TemplateGenerator.prototype._describe = function _describe() {
+	var processID = '{#PROCESS_ID}';
+	var appName = '{#APP_NAME}';
+	var instance = '{#PM2_INSTANCE}';
+	var discoveryType = this._pushDiscovery ? 'trapper' : 'agent';
+
+	function managerItem(itemDefinition, instanceMacro) {
+		return {
+			name: itemDefinition.name + (instanceMacro ? ' (' + instanceMacro + ')' : ''),
+			key: items.managerKey(itemDefinition.item, instanceMacro),
+			definition: itemDefinition,
+			application: 'PM2 Daemon'
+		};
+	}
+	function processKey(item) {
+		return items.processKey(processID, item);
+	}
+	function appKey(item) {
+		return items.appKey(appName, item);
+	}
+
+	return {
+		items: items.MANAGER_ITEMS.map(function(itemDefinition) {
+			return managerItem(itemDefinition);
+		}).concat(items.SELF_ITEMS.map(function(itemDefinition) {
+			return { name: itemDefinition.name, key: itemDefinition.item, definition: itemDefinition, application: 'PM2 Daemon' };
+		})),
+		discoveryRules: [
+			{
+				name: 'PM2 Processes',
+				key: items.discoveryKey('processes'),
+				type: discoveryType,
+				description: 'Processes managed by PM2.',
+				itemPrototypes: items.PROCESS_ITEMS.map(function(itemDefinition) {
+					return { name: processID + ' ' + itemDefinition.name, key: processKey(itemDefinition.item), definition: itemDefinition, application: 'PM2 Processes' };
+				}),
+				triggerPrototypes: [
+					{
+						name: 'PM2\'s ' + processID + ' CPU > 80%',
+						priority: 'high',
+						description: 'PM2\'s ' + processID + ' is using more than 80% of CPU in 5 minutes',
+						conditions: [ { key: processKey('cpu'), fn: 'avg', period: 300, operator: '>', value: 80 } ]
+					},
+					{
+						name: 'PM2\'s ' + processID + ' RAM > 1.4GB',
+						priority: 'high',
+						description: 'PM2\'s ' + processID + ' is using more than 1.4GB of RAM',
+						conditions: [ { key: processKey('memory'), fn: 'last', operator: '>', value: 1400000000 } ]
+					},
+					{
+						name: 'PM2\'s ' + processID + ' restarted',
+						priority: 'average',
+						description: 'PM2\'s ' + processID + ' restarted.',
+						conditions: [ { key: processKey('restarts'), fn: 'change', operator: '>=', value: 1 } ]
+					},
+					{
+						name: 'PM2\'s ' + processID + ' stopped',
+						priority: 'warning',
+						description: 'PM2\'s ' + processID + ' is stopped.',
+						conditions: [ { key: processKey('status'), fn: 'contains', value: 'stopped' } ]
+					},
+					{
+						name: 'PM2\'s ' + processID + ' deleted',
+						priority: 'info',
+						description: 'PM2\'s ' + processID + ' has been deleted from PM2. It will be dropped from discovery after the grace period of pm2-zabbix (10 minutes by default).',
+						conditions: [ { key: processKey('status'), fn: 'contains', value: 'deleted' } ]
+					},
+					{
+						name: 'PM2\'s ' + processID + ' deployed a new revision',
+						priority: 'info',
+						description: 'PM2\'s ' + processID + ' has been (re)started with code of a different revision.',
+						conditions: [ { key: processKey('vcs.revision'), fn: 'changed' } ]
+					},
+					{
+						name: 'PM2\'s ' + processID + ' PID changed',
+						priority: 'info',
+						description: 'PM2\'s ' + processID + ' is running with a different PID than before.',
+						conditions: [
+							{ key: processKey('pid'), fn: 'changed' },
+							{ key: processKey('pid'), fn: 'last', operator: '>', value: 0 }
+						]
+					},
+					{
+						name: 'PM2\'s ' + processID + ' uptime reset',
+						priority: 'warning',
+						description: 'PM2\'s ' + processID + ' uptime went down, which means it has been restarted or reloaded.',
+						conditions: [ { key: processKey('uptime'), fn: 'change', operator: '<', value: 0 } ]
+					},
+					{
+						name: 'PM2\'s ' + processID + ' restarted unstably',
+						priority: 'average',
+						description: 'PM2\'s ' + processID + ' exited too soon after starting.',
+						conditions: [ { key: processKey('unstable_restarts'), fn: 'change', operator: '>', value: 0 } ]
+					},
+					{
+						name: 'PM2\'s ' + processID + ' is in a crash loop',
+						priority: 'high',
+						description: 'PM2\'s ' + processID + ' keeps restarting: it has reached the crash loop threshold of pm2-zabbix (5 restarts in 5 minutes by default).',
+						conditions: [ { key: processKey('crash_loop'), fn: 'last', operator: '=', value: 1 } ]
+					},
+					{
+						name: 'PM2\'s ' + processID + ' restarts frequently',
+						priority: 'warning',
+						description: 'PM2\'s ' + processID + ' restarts more than once every 5 minutes on average.',
+						conditions: [ { key: processKey('restart_rate'), fn: 'last', operator: '>', value: 0.2 } ]
+					},
+					{
+						name: 'PM2\'s ' + processID + ' error burst',
+						priority: 'average',
+						description: 'PM2\'s ' + processID + ' produced more than 10 error lines in the last interval.',
+						conditions: [ { key: processKey('error_count'), fn: 'last', operator: '>', value: 10 } ]
+					}
+				],
+				graphPrototypes: [
+					{ name: 'PM2\'s ' + processID + ' CPU Usage', key: processKey('cpu'), color: 'F63100' },
+					{ name: 'PM2\'s ' + processID + ' Memory Usage', key: processKey('memory'), color: '1A7C11' }
+				]
+			},
+			{
+				name: 'PM2 Applications',
+				key: items.discoveryKey('apps'),
+				type: discoveryType,
+				description: 'Applications managed by PM2, i.e. processes grouped by name, such as the instances of a cluster-mode app.',
+				itemPrototypes: items.APP_ITEMS.map(function(itemDefinition) {
+					return { name: appName + ' ' + itemDefinition.name, key: appKey(itemDefinition.item), definition: itemDefinition, application: 'PM2 Applications' };
+				}),
+				triggerPrototypes: [
+					{
+						name: 'PM2\'s ' + appName + ' has instances offline',
+						priority: 'average',
+						description: 'Fewer instances of PM2\'s ' + appName + ' are online than it has been configured with.',
+						conditions: [ { key: appKey('online'), fn: 'last', operator: '<', valueKey: appKey('instances') } ]
+					},
+					{
+						name: 'PM2\'s ' + appName + ' runs different revisions',
+						priority: 'warning',
+						description: 'The instances of PM2\'s ' + appName + ' have been running code of different revisions for 10 minutes, which usually means that a deployment has not reached all of them.',
+						conditions: [ { key: appKey('revisions'), fn: 'min', period: 600, operator: '>', value: 1 } ]
+					}
+				],
+				graphPrototypes: [
+					{ name: 'PM2\'s ' + appName + ' Total CPU Usage', key: appKey('cpu.sum'), color: 'F63100' },
+					{ name: 'PM2\'s ' + appName + ' Total Memory Usage', key: appKey('memory.sum'), color: '1A7C11' }
+				]
+			},
+			{
+				name: 'PM2 Custom Metrics',
+				key: items.discoveryKey('metrics'),
+				type: discoveryType,
+				description: 'Custom metrics published by applications via pmx or @pm2/io (numeric values only).',
+				filter: { macro: '{#METRIC_TYPE}', value: '^numeric$' },
+				itemPrototypes: [ {
+					name: processID + ' {#METRIC_NAME}',
+					key: items.metricKey(processID, '{#METRIC_NAME}', true),
+					definition: { valueType: 'float' },
+					application: 'PM2 Custom Metrics'
+				} ]
+			},
+			{
+				name: 'PM2 Custom Text Metrics',
+				key: items.discoveryKey('metrics.text'),
+				type: discoveryType,
+				description: 'Custom metrics published by applications via pmx or @pm2/io (text values only).',
+				filter: { macro: '{#METRIC_TYPE}', value: '^text$' },
+				itemPrototypes: [ {
+					name: processID + ' {#METRIC_NAME}',
+					key: items.metricKey(processID, '{#METRIC_NAME}', false),
+					definition: { valueType: 'text' },
+					application: 'PM2 Custom Metrics'
+				} ]
+			},
+			{
+				name: 'PM2 Instances',
+				key: items.discoveryKey('instances'),
+				type: discoveryType,
+				description: 'PM2 daemons monitored by a single pm2-zabbix started with --pm2-home. Not used with a single, default PM2 instance.',
+				itemPrototypes: items.MANAGER_ITEMS.map(function(itemDefinition) {
+					return managerItem(itemDefinition, instance);
+				}),
+				triggerPrototypes: [
+					{
+						name: 'PM2 Daemon ' + instance + ' PID changed',
+						priority: 'warning',
+						description: 'PM2 Daemon ' + instance + ' PID changed',
+						conditions: [ { key: items.managerKey('pid', instance), fn: 'changed' } ]
+					},
+					{
+						name: 'PM2 Daemon ' + instance + ' stopped',
+						priority: 'average',
+						description: 'PM2 Daemon ' + instance + ' stopped',
+						conditions: [ { key: items.managerKey('status', instance), fn: 'contains', value: 'stopped' } ]
+					},
+					{
+						name: 'pm2-zabbix lost connection to PM2 Daemon ' + instance,
+						priority: 'warning',
+						description: 'pm2-zabbix is not connected to the PM2 Daemon ' + instance + ' and is trying to reconnect. Real-time process status changes are not being reported.',
+						conditions: [ { key: items.managerKey('connected', instance), fn: 'last', operator: '=', value: 0 } ]
+					}
+				]
+			}
+		],
+		triggers: [
+			{
+				name: 'PM2 Daemon PID changed',
+				priority: 'warning',
+				description: 'PM2 Daemon PID changed',
+				conditions: [ { key: items.managerKey('pid'), fn: 'changed' } ]
+			},
+			{
+				name: 'PM2 Daemon stopped',
+				priority: 'average',
+				description: 'PM2 Daemon stopped',
+				conditions: [ { key: items.managerKey('status'), fn: 'contains', value: 'stopped' } ]
+			},
+			{
+				name: 'pm2-zabbix lost connection to PM2 Daemon',
+				priority: 'warning',
+				description: 'pm2-zabbix is not connected to the PM2 Daemon and is trying to reconnect. Real-time process status changes are not being reported.',
+				conditions: [ { key: items.managerKey('connected'), fn: 'last', operator: '=', value: 0 } ]
+			},
+			{
+				name: 'No data from pm2-zabbix on {HOST.NAME}',
+				priority: 'average',
+				description: 'The pm2-zabbix heartbeat has not been received for 15 minutes. Either pm2-zabbix has died or hangs, or it cannot reach Zabbix.',
+				conditions: [ { key: 'pm2zabbix.heartbeat', fn: 'nodata', period: 900 } ]
+			},
+			{
+				name: 'pm2-zabbix stopped on {HOST.NAME}',
+				priority: 'warning',
+				description: 'pm2-zabbix has been shut down and is no longer monitoring PM2.',
+				conditions: [ { key: 'pm2zabbix.status', fn: 'contains', value: 'stopped' } ]
+			},
+			{
+				name: 'Zabbix rejected values from pm2-zabbix on {HOST.NAME}',
+				priority: 'info',
+				description: 'Zabbix failed to process some of the values sent by pm2-zabbix, usually because the items do not exist (yet), e.g. right after a process has been discovered.',
+				conditions: [ { key: 'pm2zabbix.values.failed', fn: 'change', operator: '>', value: 0 } ]
+			},
+			{
+				name: 'pm2-zabbix dropped monitoring data on {HOST.NAME}',
+				priority: 'warning',
+				description: 'Zabbix was unreachable for so long that pm2-zabbix had to drop queued data. Consider raising the queue limits.',
+				conditions: [ { key: 'pm2zabbix.queue.dropped', fn: 'change', operator: '>', value: 0 } ]
+			}
+		]
+	};
+};
+
+/**
+ * Build a trigger expression in the syntax of the target Zabbix version.
+ * Each condition names an item key and a function: "last", "avg" or "min" (over "period" seconds) or "change" compared using "operator" with "value",
+ *  or with the last value of the item "valueKey";
+ *  "changed" (the value differs from the previous one); "contains" (the last value contains the text in "value"); or "nodata" (no value received
+ *  for "period" seconds). Conditions are joined with "and".
+ * @param {Object[]} conditions - The conditions, all of which must hold for the trigger to fire.
+ * @returns {string}
+ */
+TemplateGenerator.prototype._renderExpression = function _renderExpression(conditions) {
+	var isModernSyntax = (this._zabbixVersion === '6.0');
+
+	return conditions.map(function(condition) {
+		var reference = '/' + TEMPLATE_NAME + '/' + condition.key;
+		if (condition.fn === 'changed') {
+			return isModernSyntax ? 'change(' + reference + ')<>0' : '{' + TEMPLATE_NAME + ':' + condition.key + '.diff(0)}=1';
+		}
+		if (condition.fn === 'contains') {
+			return isModernSyntax ? 'find(' + reference + ',,"like","' + condition.value + '")=1' : '{' + TEMPLATE_NAME + ':' + condition.key + '.str(' + condition.value + ')}=1';
+		}
+		if (condition.fn === 'nodata') {
+			return isModernSyntax ? 'nodata(' + reference + ',' + condition.period + 's)=1' : '{' + TEMPLATE_NAME + ':' + condition.key + '.nodata(' + condition.period + ')}=1';
+		}
+		var period = (condition.fn === 'avg' || condition.fn === 'min') ? condition.period : '';
+		if (isModernSyntax) {
+			var modernValue = condition.valueKey ? 'last(/' + TEMPLATE_NAME + '/' + condition.valueKey + ')' : condition.value;
+			return condition.fn + '(' + reference + (period ? ',' + period + 's' : '') + ')' + condition.operator + modernValue;
+		}
+		var legacyValue = condition.valueKey ? '{' + TEMPLATE_NAME + ':' + condition.valueKey + '.last()}' : condition.value;
+		return '{' + TEMPLATE_NAME + ':' + condition.key + '.' + condition.fn + '(' + period + ')}' + condition.operator + legacyValue;
+	}).join(' and ');
+};
+
+/**
+ * Render an item or item prototype in the format of Zabbix 3.0, which lists every field.
+ * @param {Object} item - The item, as described by _describe().
+ * @param {boolean} isPrototype - Whether the item is an item prototype.
+ * @returns {Object}
+ */
+TemplateGenerator.prototype._renderLegacyItem = function _renderLegacyItem(item, isPrototype) {
+	var valueType = item.definition.valueType;
+	var rendered = {
+		name: item.name,
+		type: ITEM_TYPES.trapper.code,
+		snmp_community: '',
+		multiplier: 0,
+		snmp_oid: '',
+		key: item.key,
+		delay: 0,
+		history: 90,
+		// Only numeric items have trends.
+		trends: (valueType === 'float' || valueType === 'unsigned') ? 365 : 0,
+		status: 0,
+		value_type: VALUE_TYPES[valueType].code,
+		allowed_hosts: '',
+		units: item.definition.units || '',
+		delta: 0,
+		snmpv3_contextname: '',
+		snmpv3_securityname: '',
+		snmpv3_securitylevel: 0,
+		snmpv3_authprotocol: 0,
+		snmpv3_authpassphrase: '',
+		snmpv3_privprotocol: 0,
+		snmpv3_privpassphrase: '',
+		formula: 1,
+		delay_flex: '',
+		params: '',
+		ipmi_sensor: '',
+		data_type: 0,
+		authtype: 0,
+		username: '',
+		password: '',
+		publickey: '',
+		privatekey: '',
+		port: '',
+		description: item.definition.description || '',
+		inventory_link: 0,
+		applications: [ { name: item.application } ],
+		valuemap: '',
+		logtimefmt: ''
+	};
+	if (isPrototype) {
+		rendered.application_prototypes = [];
+	}
+	return rendered;
+};
+
+/**
+ * Render an item or item prototype in the format of Zabbix 5.0 and later. Applications became tags in 6.0, and entities got UUIDs.
+ * @param {Object} item - The item, as described by _describe().
+ * @returns {Object}
+ */
+TemplateGenerator.prototype._renderItem = function _renderItem(item) {
+	var valueType = item.definition.valueType;
+	var rendered = {};
+	if (this._zabbixVersion === '6.0') {
+		rendered.uuid = stableUUID(item.key);
+	}
+	rendered.name = item.name;
+	rendered.type = ITEM_TYPES.trapper.name;
+	rendered.key = item.key;
+	rendered.delay = '0';
+	rendered.history = '90d';
+	rendered.trends = (valueType === 'float' || valueType === 'unsigned') ? '365d' : '0';
+	rendered.value_type = VALUE_TYPES[valueType].name;
+	if (item.definition.units) {
+		rendered.units = item.definition.units;
+	}
+	if (item.definition.description) {
+		rendered.description = item.definition.description;
+	}
+	if (this._zabbixVersion === '6.0') {
+		rendered.tags = [ { tag: 'Application', value: item.application } ];
+	}
+	else {
+		rendered.applications = [ { name: item.application } ];
+	}
+	return rendered;
+};
+
+/**
+ * Render a trigger or trigger prototype for the target Zabbix version.
+ * @param {Object} trigger - The trigger, as described by _describe().
+ * @returns {Object}
+ */
+TemplateGenerator.prototype._renderTrigger = function _renderTrigger(trigger) {
+	var expression = this._renderExpression(trigger.conditions);
+	if (this._zabbixVersion === '3.0') {
+		return {
+			expression: expression,
+			name: trigger.name,
+			url: '',
+			status: 0,
+			priority: PRIORITIES[trigger.priority].code,
+			description: trigger.description,
+			type: 0,
+			dependencies: []
+		};
+	}
+
+	var rendered = {};
+	if (this._zabbixVersion === '6.0') {
+		rendered.uuid = stableUUID('trigger/' + trigger.name);
+	}
+	rendered.expression = expression;
+	rendered.name = trigger.name;
+	rendered.priority = PRIORITIES[trigger.priority].name;
+	rendered.description = trigger.description;
+	return rendered;
+};
+
+/**
+ * Render a graph prototype (a single-item graph) for the target Zabbix version.
+ * @param {Object} graph - The graph, as described by _describe().
+ * @returns {Object}
+ */
+TemplateGenerator.prototype._renderGraph = function _renderGraph(graph) {
+	var graphItem = { host: TEMPLATE_NAME, key: graph.key };
+	if (this._zabbixVersion === '3.0') {
+		return {
+			name: graph.name,
+			width: 900,
+			height: 200,
+			yaxismin: '0.0000',
+			yaxismax: '100.0000',
+			show_work_period: 1,
+			show_triggers: 1,
+			type: 0,
+			show_legend: 1,
+			show_3d: 0,
+			percent_left: '0.0000',
+			percent_right: '0.0000',
+			ymin_type_1: 0,
+			ymax_type_1: 0,
+			ymin_item_1: 0,
+			ymax_item_1: 0,
+			graph_items: [ {
+				sortorder: 0,
+				drawtype: 0,
+				color: graph.color,
+				yaxisside: 0,
+				calc_fnc: 2,
+				type: 0,
+				item: graphItem
+			} ]
+		};
+	}
+
+	var rendered = {};
+	if (this._zabbixVersion === '6.0') {
+		rendered.uuid = stableUUID('graph/' + graph.name);
+	}
+	rendered.name = graph.name;
+	rendered.graph_items = [ { color: graph.color, item: graphItem } ];
+	return rendered;
+};
+
+/**
+ * Render a discovery rule, with its prototypes, for the target Zabbix version.
+ * @param {Object} rule - The discovery rule, as described by _describe().
+ * @returns {Object}
+ */
+TemplateGenerator.prototype._renderDiscoveryRule = function _renderDiscoveryRule(rule) {
+	var self = this;
+	var conditions = rule.filter ? [ { macro: rule.filter.macro, value: rule.filter.value } ] : [];
+	var itemPrototypes = (rule.itemPrototypes || []).map(function(item) {
+		return (self._zabbixVersion === '3.0') ? self._renderLegacyItem(item, true) : self._renderItem(item);
+	});
+	var triggerPrototypes = (rule.triggerPrototypes || []).map(self._renderTrigger.bind(self));
+	var graphPrototypes = (rule.graphPrototypes || []).map(self._renderGraph.bind(self));
+
+	if (self._zabbixVersion === '3.0') {
+		return {
+			name: rule.name,
+			type: ITEM_TYPES[rule.type].code,
+			snmp_community: '',
+			snmp_oid: '',
+			key: rule.key,
+			delay: (rule.type === 'trapper') ? 0 : 60,
+			status: 0,
+			allowed_hosts: '',
+			snmpv3_contextname: '',
+			snmpv3_securityname: '',
+			snmpv3_securitylevel: 0,
+			snmpv3_authprotocol: 0,
+			snmpv3_authpassphrase: '',
+			snmpv3_privprotocol: 0,
+			snmpv3_privpassphrase: '',
+			delay_flex: '',
+			params: '',
+			ipmi_sensor: '',
+			authtype: 0,
+			username: '',
+			password: '',
+			publickey: '',
+			privatekey: '',
+			port: '',
+			filter: {
+				evaltype: 0,
+				formula: '',
+				conditions: conditions.map(function(condition) {
+					// Operator 8 is "matches".
+					return { macro: condition.macro, value: condition.value, operator: 8, formulaid: 'A' };
+				})
+			},
+			lifetime: 14,
+			description: rule.description,
+			item_prototypes: itemPrototypes,
+			trigger_prototypes: triggerPrototypes,
+			graph_prototypes: graphPrototypes,
+			host_prototypes: []
+		};
+	}
+
+	var rendered = {};
+	if (self._zabbixVersion === '6.0') {
+		rendered.uuid = stableUUID(rule.key);
+	}
+	rendered.name = rule.name;
+	rendered.type = ITEM_TYPES[rule.type].name;
+	rendered.key = rule.key;
+	rendered.delay = (rule.type === 'trapper') ? '0' : '1m';
+	if (conditions.length > 0) {
+		rendered.filter = {
+			conditions: conditions.map(function(condition) {
+				return { macro: condition.macro, value: condition.value, formulaid: 'A' };
+			})
+		};
+	}
+	rendered.lifetime = '14d';
+	rendered.description = rule.description;
+	rendered.item_prototypes = itemPrototypes;
+	if (triggerPrototypes.length > 0) {
+		rendered.trigger_prototypes = triggerPrototypes;
+	}
+	if (graphPrototypes.length > 0) {
+		rendered.graph_prototypes = graphPrototypes;
+	}
+	return rendered;
+};
+
+/**
+ * Build the template export, as an object with the same structure as Zabbix's own export files ("zabbix_export").
+ * @returns {Object}
+ */
+TemplateGenerator.prototype.build = function build() {
+	var self = this;
+	var description = self._describe();
+	var date = self._date.toISOString().replace(/\.\d+Z$/, 'Z');
+
+	if (self._zabbixVersion === '3.0') {
+		return {
+			version: self._zabbixVersion,
+			date: date,
+			groups: [ { name: GROUP_NAME } ],
+			templates: [ {
+				template: TEMPLATE_NAME,
+				name: TEMPLATE_NAME,
+				description: '',
+				groups: [ { name: GROUP_NAME } ],
+				applications: [ { name: 'PM2 Daemon' }, { name: 'PM2 Processes' }, { name: 'PM2 Custom Metrics' } ],
+				items: description.items.map(function(item) {
+					return self._renderLegacyItem(item, false);
+				}),
+				discovery_rules: description.discoveryRules.map(self._renderDiscoveryRule.bind(self)),
+				macros: [],
+				templates: [],
+				screens: []
+			} ],
+			triggers: description.triggers.map(self._renderTrigger.bind(self))
+		};
+	}
+
+	var template = {};
+	if (self._zabbixVersion === '6.0') {
+		template.uuid = stableUUID('template');
+	}
+	template.template = TEMPLATE_NAME;
+	template.name = TEMPLATE_NAME;
+	template.groups = [ { name: GROUP_NAME } ];
+	if (self._zabbixVersion === '5.0') {
+		template.applications = [ { name: 'PM2 Daemon' }, { name: 'PM2 Processes' }, { name: 'PM2 Custom Metrics' } ];
+	}
+	template.items = description.items.map(self._renderItem.bind(self));
+	template.discovery_rules = description.discoveryRules.map(self._renderDiscoveryRule.bind(self));
+
+	var group = (self._zabbixVersion === '6.0') ? { uuid: stableUUID('group/' + GROUP_NAME), name: GROUP_NAME } : { name: GROUP_NAME };
+	return {
+		version: self._zabbixVersion,
+		date: date,
+		groups: [ group ],
+		templates: [ template ],
+		triggers: description.triggers.map(self._renderTrigger.bind(self))
+	};
+};
+
+/**
+ * Generate the template in the given format.
+ * @param {string} [format="xml"] - "xml" or "yaml". YAML can only be imported by Zabbix 6.0 (of the supported versions).
+ * @returns {string} The template file's content.
+ * @throws {Error} If the format is unknown or cannot be imported by the target Zabbix version.
+ */
+TemplateGenerator.prototype.generate = function generate(format) {
+	format = format || 'xml';
+	if (!TemplateGenerator.FORMATS.hasOwnProperty(format)) {
+		throw new Error('Unknown template format "' + format + '" - use one of: ' + Object.keys(TemplateGenerator.FORMATS).join(', '));
+	}
+	if (Number(this._zabbixVersion) < Number(TemplateGenerator.FORMATS[format])) {
+		throw new Error('Zabbix ' + this._zabbixVersion + ' cannot import ' + format.toUpperCase() + ' templates - use Zabbix ' + TemplateGenerator.FORMATS[format] + ' or later, or another format');
+	}
+
+	var zabbixExport = this.build();
+	if (format === 'yaml') {
+		return yaml.safeDump({ zabbix_export: zabbixExport }, { lineWidth: -1 });
+	}
+	return '<?xml version="1.0" encoding="UTF-8"?>\n' + toXMLElement('zabbix_export', zabbixExport, '');
+};
+
+module.exports = TemplateGenerator;
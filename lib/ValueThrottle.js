@@ -0,0 +1,91 @@
+/**
+ * A ValueThrottle suppresses values that have not changed since they were last sent to Zabbix, like the "discard unchanged with heartbeat"
+ *  preprocessing of Zabbix, but before the values are sent - which saves trapper load and history space on hosts with many processes.
+ * Every value is still resent once the heartbeat interval has passed, so that nodata() triggers keep working.
+ * CPU and memory usage fluctuate constantly, so small changes of them can be ignored, too: items whose name (the last key parameter, or the last
+ *  part of a parameterless key) starts with "cpu" or "memory" count as unchanged while they stay within the respective tolerance.
+ * @constructor
+ * @param {Object} [options] - Throttle settings.
+ * @param {number} [options.heartbeat=300000] - The time (ms) after which a value is resent even if it has not changed.
+ * @param {number} [options.cpuTolerance=1] - How much (in percentage points) CPU usage items may change without being resent.
+ * @param {number} [options.memoryTolerance=1048576] - How much (in bytes) memory usage items may change without being resent.
+ */
+function ValueThrottle(options) {
+	options = options || {};
+	this._heartbeat = options.heartbeat || 5 * 60 * 1000;
+	this._tolerances = {
+		cpu: (options.cpuTolerance !== undefined) ? options.cpuTolerance : 1,
+		memory: (options.memoryTolerance !== undefined) ? options.memoryTolerance : 1024 * 1024
+	};
+	/**
+	 * The value last sent for each key, and when.
+	 * @type {Object.<string,{value: *, sentAt: number}>}
+	 */
+	this._sent = {};
+}
+
+/**
+ * Get the tolerance that applies to an item key.
+ * @param {string} key - The item key, e.g. "pm2.processes[api-0,cpu]" or "pm2.memory".
+ * @returns {number} The tolerance, or zero if changes of the item are never ignored.
+ */
+ValueThrottle.prototype._getTolerance = function _getTolerance(key) {
+	var match = /,([^,\]]*)\]$/.exec(key) || /\.([^.[\]]+)(?:\[[^\]]*\])?$/.exec(key);
+	var itemName = match ? match[1].split('.')[0] : '';
+	return this._tolerances[itemName] || 0;
+};
+
+/**
+ * Check whether a value differs enough from the one last sent for its key.
+ * @param {string} key - The item key.
+ * @param {*} value - The new value.
+ * @param {*} lastValue - The value last sent.
+ * @returns {boolean}
+ */
+ValueThrottle.prototype._hasChanged = function _hasChanged(key, value, lastValue) {
+	if (typeof value === 'number' && typeof lastValue === 'number') {
+		return Math.abs(value - lastValue) > this._getTolerance(key);
+	}
+	return String(value) !== String(lastValue);
+};
+
+/**
+ * Pick the values that need sending: those that have changed, have not been sent yet, or are due for their heartbeat.
+ * Nothing is recorded here - call commit() once the values have actually reached Zabbix, so that values lost on the way are sent again.
+ * @param {Object.<string,*>} values - A map of values, keyed by item key.
+ * @param {number} [now=Date.now()] - The current time, in milliseconds.
+ * @returns {Object.<string,*>} The values to send. May be empty.
+ */
+ValueThrottle.prototype.filter = function filter(values, now) {
+	var self = this;
+	now = now || Date.now();
+	var toSend = {};
+	Object.keys(values).forEach(function(key) {
+		var last = self._sent[key];
+		if (!last || now - last.sentAt >= self._heartbeat || self._hasChanged(key, values[key], last.value)) {
+			toSend[key] = values[key];
+		}
+	});
+	return toSend;
+};
+
+/**
+ * Record values as sent. Records that are due for their heartbeat anyway are dropped at the same time, so that keys
+ *  which are no longer sent (e.g. of deleted processes) do not pile up.
+ * @param {Object.<string,*>} values - The values that have been sent, as returned by filter().
+ * @param {number} [now=Date.now()] - When they were sent, in milliseconds.
+ */
+ValueThrottle.prototype.commit = function commit(values, now) {
+	var self = this;
+	now = now || Date.now();
+	Object.keys(self._sent).forEach(function(key) {
+		if (now - self._sent[key].sentAt >= self._heartbeat) {
+			delete self._sent[key];
+		}
+	});
+	Object.keys(values).forEach(function(key) {
+		self._sent[key] = { value: values[key], sentAt: now };
+	});
+};
+
+module.exports = ValueThrottle;
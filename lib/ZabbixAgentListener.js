@@ -0,0 +1,252 @@
+var net = require('net');
+var dns = require('dns');
+var when = require('when');
+var nodefn = require('when/node');
+
+var nullLogger = require('./nullLogger');
+var zabbixProtocol = require('./zabbixProtocol');
+
+/**
+ * The longest request we accept. Requests carry a single item key, so anything longer is not a passive check.
+ * @type {number}
+ */
+var MAX_REQUEST_LENGTH = 64 * 1024;
+
+/**
+ * Turn an IPv4-mapped IPv6 address (such as "::ffff:127.0.0.1", as reported for IPv4 clients of a dual-stack socket) into a plain IPv4 address.
+ * @param {string} address - An IP address.
+ * @returns {string}
+ */
+function normalizeAddress(address) {
+	return String(address).replace(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i, '$1');
+}
+
+/**
+ * Convert a dotted IPv4 address into a 32-bit number.
+ * @param {string} address - The address, e.g. "192.168.1.10".
+ * @returns {number}
+ */
+function ipv4ToNumber(address) {
+	return address.split('.').reduce(function(number, octet) {
+		return number * 256 + Number(octet);
+	}, 0);
+}
+
+/**
+ * Check whether an address matches an entry of the allowed servers list: an IP address, or an IPv4 range in CIDR notation (e.g. "10.0.0.0/24").
+ * @param {string} address - The (normalized) address of the client.
+ * @param {string} allowed - The list entry.
+ * @returns {boolean}
+ */
+function matchesAddress(address, allowed) {
+	var cidr = /^(\d+\.\d+\.\d+\.\d+)\/(\d+)$/.exec(allowed);
+	if (cidr) {
+		if (!net.isIPv4(address)) {
+			return false;
+		}
+		var bits = Number(cidr[2]);
+		// Dividing rather than bit-shifting keeps the numbers unsigned.
+		var blockSize = Math.pow(2, 32 - bits);
+		return Math.floor(ipv4ToNumber(address) / blockSize) === Math.floor(ipv4ToNumber(cidr[1]) / blockSize);
+	}
+	return normalizeAddress(allowed) === address;
+}
+
+/**
+ * A ZabbixAgentListener answers Zabbix passive checks over TCP, the way the Zabbix agent does, so that the server can poll items directly.
+ * For each connection, the server sends an item key - in a Zabbix protocol packet, or (older servers) as a line of text - and gets the value in return.
+ * Values that cannot be obtained are answered with "ZBX_NOTSUPPORTED" and the reason, which makes the server mark the item as not supported.
+ * Like the agent's "Server" setting, a list of allowed servers restricts who may connect; connections from anywhere else are closed without an answer.
+ * @constructor
+ * @param {function(string): Promise} getValue - Obtains the value for an item key. The promise should fulfill with undefined for unknown processes
+ *  and the like, and reject for keys that cannot be queried.
+ * @param {Object} [options] - Listener settings.
+ * @param {number} [options.port=10050] - The TCP port to listen on.
+ * @param {string} [options.listenIP] - The address to listen on. By default, all addresses.
+ * @param {string[]} [options.allowedServers=["127.0.0.1","::1"]] - The addresses, IPv4 CIDR ranges or host names of the Zabbix servers and proxies allowed to connect.
+ *  Host names are resolved on every connection.
+ * @param {number} [options.timeout=3000] - Time (ms) to wait for the request, and for the value, before giving up on a connection.
+ * @param {Object} [options.logger] - A bunyan-compatible logger.
+ */
+function ZabbixAgentListener(getValue, options) {
+	options = options || {};
+	this._getValue = getValue;
+	this._port = Number(options.port) || 10050;
+	this._listenIP = options.listenIP || undefined;
+	this._allowedServers = options.allowedServers || [ '127.0.0.1', '::1' ];
+	this._timeout = options.timeout || 3000;
+	this._logger = options.logger || nullLogger;
+	/**
+	 * The TCP server, while listening.
+	 * @type {?net.Server}
+	 */
+	this._server = null;
+}
+
+/**
+ * Check whether a client is on the allowed servers list.
+ * @param {string} address - The client's address.
+ * @returns {Promise} A promise which fulfills with true if the client may connect, and false otherwise.
+ */
+ZabbixAgentListener.prototype._isAllowed = function _isAllowed(address) {
+	address = normalizeAddress(address);
+	if (this._allowedServers.some(function(allowed) {
+		return matchesAddress(address, allowed);
+	})) {
+		return when.resolve(true);
+	}
+
+	var hostNames = this._allowedServers.filter(function(allowed) {
+		return !net.isIP(allowed) && !/\//.test(allowed);
+	});
+	return when.all(hostNames.map(function(hostName) {
+		return nodefn.call(dns.lookup, hostName, { all: true }).then(function(resolved) {
+			return resolved.some(function(entry) {
+				return normalizeAddress(entry.address) === address;
+			});
+		}, function() {
+			// A name that does not resolve matches nobody.
+			return false;
+		});
+	})).then(function(matches) {
+		return matches.indexOf(true) >= 0;
+	});
+};
+
+/**
+ * Extract the item key from the bytes received so far.
+ * @param {Buffer} received - The received bytes.
+ * @returns {?string} The key, or null if the request is not complete yet.
+ * @throws {Error} If the request is malformed.
+ */
+ZabbixAgentListener.prototype._parseRequest = function _parseRequest(received) {
+	if (zabbixProtocol.hasHeader(received)) {
+		var data = zabbixProtocol.unframe(received);
+		return data ? data.toString('utf-8').trim() : null;
+	}
+	// Servers older than Zabbix 4.0 may send the bare key, terminated by a newline.
+	var newlineIndex = received.indexOf('\n');
+	return (newlineIndex >= 0) ? received.slice(0, newlineIndex).toString('utf-8').trim() : null;
+};
+
+/**
+ * Answer a passive check: get the value for a key and write it to the socket, then close the connection.
+ * @param {net.Socket} socket - The client's connection.
+ * @param {string} key - The requested item key.
+ */
+ZabbixAgentListener.prototype._answer = function _answer(socket, key) {
+	var self = this;
+
+	when.try(self._getValue, key).timeout(self._timeout, new Error('Timed out getting the value')).then(function(value) {
+		if (value === undefined) {
+			throw new Error('No such process, application, metric or PM2 instance');
+		}
+		self._logger.trace({ event: 'ZabbixAgentListener#answered', key: key, value: value }, 'Answered %s: %s', key, value);
+		return String(value);
+	}).catch(function(error) {
+		self._logger.debug({ event: 'ZabbixAgentListener#notSupported', key: key, error: error }, 'Answered %s as not supported: %s', key, error.message);
+		return 'ZBX_NOTSUPPORTED\u0000' + error.message;
+	}).done(function(answer) {
+		socket.end(zabbixProtocol.frame(answer));
+	});
+};
+
+/**
+ * Handle a new connection: check that the client is allowed, read its request and answer it.
+ * @param {net.Socket} socket - The client's connection.
+ */
+ZabbixAgentListener.prototype._handleConnection = function _handleConnection(socket) {
+	var self = this;
+	var address = socket.remoteAddress;
+	var chunks = [];
+	var receivedLength = 0;
+	var answered = false;
+
+	socket.setTimeout(self._timeout);
+	socket.on('timeout', function() {
+		self._logger.debug({ event: 'ZabbixAgentListener#requestTimeout', address: address }, 'Timed out waiting for a request from %s', address);
+		socket.destroy();
+	});
+	socket.on('error', function(error) {
+		self._logger.debug({ event: 'ZabbixAgentListener#connectionError', address: address, error: error }, 'Connection error with %s: %s', address, error.message);
+	});
+
+	// Data is only read once the client has been let in.
+	socket.pause();
+	self._isAllowed(address).done(function(isAllowed) {
+		if (!isAllowed) {
+			self._logger.warn({ event: 'ZabbixAgentListener#rejected', address: address }, 'Rejected a connection from %s, which is not an allowed server', address);
+			socket.destroy();
+			return;
+		}
+		socket.on('data', function(chunk) {
+			if (answered) {
+				return;
+			}
+			chunks.push(chunk);
+			receivedLength += chunk.length;
+			var key;
+			try {
+				if (receivedLength > MAX_REQUEST_LENGTH) {
+					throw new Error('Request too long');
+				}
+				key = self._parseRequest(Buffer.concat(chunks));
+			}
+			catch (error) {
+				self._logger.warn({ event: 'ZabbixAgentListener#invalidRequest', address: address, error: error }, 'Invalid request from %s: %s', address, error.message);
+				socket.destroy();
+				return;
+			}
+			if (key !== null) {
+				answered = true;
+				// From now on, getting the value is subject to its own timeout.
+				socket.setTimeout(0);
+				self._answer(socket, key);
+			}
+		});
+		socket.resume();
+	});
+};
+
+/**
+ * Start listening for passive checks.
+ * @returns {Promise} A promise which fulfills when the listener is accepting connections, or rejects if it cannot listen (e.g. the port is taken).
+ */
+ZabbixAgentListener.prototype.listen = function listen() {
+	var self = this;
+
+	return when.promise(function(resolve, reject) {
+		var server = net.createServer(function(socket) {
+			self._handleConnection(socket);
+		});
+		server.once('error', reject);
+		server.listen(self._port, self._listenIP, function() {
+			server.removeListener('error', reject);
+			server.on('error', function(error) {
+				self._logger.error({ event: 'ZabbixAgentListener#serverError', error: error }, 'Agent listener error: %s', error.message);
+			});
+			self._server = server;
+			self._logger.info({ event: 'ZabbixAgentListener#listening', port: self._port, listenIP: self._listenIP, allowedServers: self._allowedServers }, 'Listening for passive checks on port %d', self._port);
+			resolve();
+		});
+	});
+};
+
+/**
+ * Stop listening. Connections being answered are allowed to finish.
+ * @returns {Promise} A promise which fulfills when the listener has stopped.
+ */
+ZabbixAgentListener.prototype.close = function close() {
+	var server = this._server;
+	this._server = null;
+	if (!server) {
+		return when.resolve();
+	}
+	return when.promise(function(resolve) {
+		server.close(function() {
+			resolve();
+		});
+	});
+};
+
+module.exports = ZabbixAgentListener;
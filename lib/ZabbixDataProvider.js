@@ -1,52 +1,374 @@
+var when = require('when');
 var nodefn = require('when/node');
 
+var nullLogger = require('./nullLogger');
+
+/**
+ * The name of the discovery list used when no list name is given. It holds the PM2-managed processes.
+ * @type {string}
+ */
+var DEFAULT_DISCOVERY_LIST = 'processes';
+
+/**
+ * Error codes of failures to reach the server, which may go away by themselves.
+ * @type {string[]}
+ */
+var CONNECTION_ERROR_CODES = [ 'ECONNREFUSED', 'ECONNRESET', 'EPIPE', 'ETIMEDOUT', 'EHOSTUNREACH', 'ENETUNREACH', 'EAI_AGAIN' ];
+
+/**
+ * What zabbix_sender says when it cannot reach the server.
+ * @type {RegExp}
+ */
+var CONNECTION_FAILURE_PATTERN = /cannot connect|connection refused|connection reset|timed out|timeout|no route to host|network is unreachable/i;
+
 /**
- * A ZabbixDataProvider is a class that encapsulates a ZabbixSender and a list of discoverable items.
+ * Check whether sending can be retried after an error. Only failures to get the data to the server are: connection errors, timeouts,
+ *  and a zabbix_sender binary that could not be started. Anything else means that the server has received the data and rejected
+ *  (some of) it - e.g. because items have not been created by LLD yet - so sending the same data again would not help.
+ * zabbix_sender exits with 2 if the server has rejected some values, and with 1 if it could not send them, saying why.
+ * @param {Error} error - The error that sending failed with.
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+	if (!error || error.result) {
+		return false;
+	}
+	if (CONNECTION_ERROR_CODES.indexOf(error.code) >= 0) {
+		return true;
+	}
+	// Spawning the binary has failed (e.g. it is not installed yet), or it has been killed for taking too long.
+	if (/^spawn/.test(error.syscall || '') || error.killed) {
+		return true;
+	}
+	if (error.code === 1) {
+		return CONNECTION_FAILURE_PATTERN.test([ error.message, error.stdout, error.stderr ].join('\n'));
+	}
+	return false;
+}
+
+/**
+ * Split a list of entries into value maps for transports that only take maps. Zabbix takes one value per key in a request,
+ *  so a new map is started whenever a key repeats. Sending the maps one after another keeps the values in order.
+ * @param {ZabbixDataProvider.Entry[]} entries - The entries to split. Their timestamps are lost.
+ * @returns {Array.<Object.<string,*>>}
+ */
+function toValueMaps(entries) {
+	var maps = [];
+	entries.forEach(function(entry) {
+		var currentMap = maps[maps.length - 1];
+		if (!currentMap || currentMap.hasOwnProperty(entry.key)) {
+			currentMap = {};
+			maps.push(currentMap);
+		}
+		currentMap[entry.key] = entry.value;
+	});
+	return maps;
+}
+
+/**
+ * A single value for Zabbix, optionally with the time at which it was collected.
+ * @typedef {Object} ZabbixDataProvider.Entry
+ * @property {string} key - The Zabbix item key.
+ * @property {*} value - The value.
+ * @property {number} [clock] - When the value was collected, as a Unix timestamp in seconds. Zabbix uses the time of arrival if not given.
+ * @property {number} [ns] - The nanoseconds part of the timestamp.
+ */
+
+/**
+ * A ZabbixDataProvider is a class that encapsulates a ZabbixSender (or a ZabbixNativeSender) and a list of discoverable items.
  * It can be asked to send some keys' values to the server and queried for discovery data, which it returns in a Zabbix-compatible, JSON-stringifiable object.
+ * Several independent discovery lists may be kept (one per discovery rule), distinguished by name. Unless a name is given, the "processes" list is used.
  * @constructor
- * @param {external:ZabbixSender} sender - A zabbix-sender object, as obtained from the constructor exported by the zabbix-sender node module.
- * @param {Object[]} [discoveryItems=[]] - An initial list of objects which have macro-named keys, such as "#PROCID" or "#PROCNAME". These can be added later, too.
+ * @param {(external:ZabbixSender|ZabbixNativeSender)} sender - A zabbix-sender object, as obtained from the constructor exported by the zabbix-sender node module, or a ZabbixNativeSender which implements the same send() interface.
+ * @param {Object[]} [discoveryItems=[]] - An initial list of objects which have macro-named keys, such as "#PROCID" or "#PROCNAME". These can be added later, too. They are put on the default ("processes") list.
+ * @param {Object} [options] - Further settings.
+ * @param {Object} [options.logger] - A bunyan-compatible logger, used for reporting queued data that has been given up on.
  */
-function ZabbixDataProvider(sender, discoveryItems) {
+function ZabbixDataProvider(sender, discoveryItems, options) {
+	options = options || {};
 	this._sender = sender;
-	this._discoveryItems = (discoveryItems || []).slice();
+	this._logger = options.logger || nullLogger;
+	/**
+	 * Discoverable items, grouped into lists by name.
+	 * @type {Object.<string,Object[]>}
+	 */
+	this._discoveryLists = {};
+	this._discoveryLists[DEFAULT_DISCOVERY_LIST] = (discoveryItems || []).slice();
+	/**
+	 * Where values that could not be sent are kept until they can be. Null if failed sends are not retried.
+	 * @type {?OfflineQueue}
+	 */
+	this._queue = null;
+	/**
+	 * The promise of the queue replay in progress, if any.
+	 * @type {?Promise}
+	 */
+	this._replay = null;
+	/**
+	 * The outcome of sending each queued batch that a caller of send() is waiting for: null until it has been sent (or given up on),
+	 *  then the transport's result, or the error the server has rejected it with.
+	 * @type {Map.<Object,?{result: *, error: ?Error}>}
+	 */
+	this._batchOutcomes = new Map();
+	/**
+	 * Statistics of the sends made through the transport since the provider was created.
+	 * @type {ZabbixDataProvider.SendStats}
+	 */
+	this._sendStats = { batches: 0, failedBatches: 0, processed: 0, failed: 0, lastSuccessAt: null, latency: null };
 }
 
+/**
+ * Statistics of the sends made by a data provider.
+ * @typedef {Object} ZabbixDataProvider.SendStats
+ * @property {number} batches - The number of batches sent successfully.
+ * @property {number} failedBatches - The number of batches that could not be sent, or were (partly) rejected by the server.
+ * @property {number} processed - The number of values the server has processed. For transports that do not report it, the number of values sent.
+ * @property {number} failed - The number of values the server has failed to process.
+ * @property {?number} lastSuccessAt - When a batch was last sent successfully, in milliseconds. Null if none has been.
+ * @property {?number} latency - How long (ms) the last successful send took. Null if none has succeeded.
+ */
+
+/**
+ * Create an entry for sending a value with the time at which it was collected.
+ * @static
+ * @param {string} key - The Zabbix item key.
+ * @param {*} value - The value.
+ * @param {number} [timestamp=Date.now()] - When the value was collected, in milliseconds.
+ * @returns {ZabbixDataProvider.Entry}
+ */
+ZabbixDataProvider.createEntry = function createEntry(key, value, timestamp) {
+	timestamp = timestamp || Date.now();
+	return {
+		key: key,
+		value: value,
+		clock: Math.floor(timestamp / 1000),
+		ns: (timestamp % 1000) * 1000000
+	};
+};
+
+/**
+ * Send values via the underlying transport, bypassing the queue.
+ * Transports that do not support timestamps (the zabbix-sender module) get lists of entries as one or more value maps, sent one after another.
+ * @param {(Object.<string,*>|ZabbixDataProvider.Entry[])} values - A map of values, or a list of entries, to send.
+ * @param {number} [timestamp] - When the values were collected, in milliseconds. Only passed on if the transport supports it.
+ * @returns {Promise}
+ */
+ZabbixDataProvider.prototype._sendDirectly = function _sendDirectly(values, timestamp) {
+	var self = this;
+	var sender = self._sender;
+	var send = nodefn.lift(sender.send.bind(sender));
+	function sendMap(valueMap, mapTimestamp) {
+		var startedAt = Date.now();
+		var valueCount = Array.isArray(valueMap) ? valueMap.length : Object.keys(valueMap).length;
+		return (mapTimestamp ? send(valueMap, mapTimestamp) : send(valueMap)).then(function(result) {
+			self._recordSend(valueCount, result, null, startedAt);
+			return result;
+		}, function(error) {
+			self._recordSend(valueCount, null, error, startedAt);
+			throw error;
+		});
+	}
+
+	if (sender.acceptsTimestamps) {
+		return sendMap(values, timestamp);
+	}
+	if (!Array.isArray(values)) {
+		return sendMap(values);
+	}
+	return toValueMaps(values).reduce(function(previousSend, valueMap) {
+		return previousSend.then(function() {
+			return sendMap(valueMap);
+		});
+	}, when.resolve());
+};
+
+/**
+ * Update the send statistics with the outcome of a send.
+ * @param {number} valueCount - How many values have been sent.
+ * @param {?Object} result - The transport's result on success. With the native transport, it holds the server's processed/failed counts.
+ * @param {?Error} error - The error on failure. If the server has rejected some of the values, its counts are in the error's "result" property.
+ * @param {number} startedAt - When the send was started, in milliseconds.
+ */
+ZabbixDataProvider.prototype._recordSend = function _recordSend(valueCount, result, error, startedAt) {
+	var stats = this._sendStats;
+	var counts = error ? error.result : result;
+	if (counts && typeof counts.processed === 'number') {
+		stats.processed += counts.processed;
+		stats.failed += counts.failed || 0;
+	}
+	else if (!error) {
+		stats.processed += valueCount;
+	}
+
+	if (error) {
+		stats.failedBatches += 1;
+		return;
+	}
+	stats.batches += 1;
+	stats.lastSuccessAt = Date.now();
+	stats.latency = stats.lastSuccessAt - startedAt;
+};
+
+/**
+ * Get statistics of the sends made so far, including those of queued data.
+ * @returns {ZabbixDataProvider.SendStats} A copy of the statistics.
+ */
+ZabbixDataProvider.prototype.getSendStats = function getSendStats() {
+	return Object.assign({}, this._sendStats);
+};
+
 /**
  * Send values for some keys to Zabbix via the underlying transport.
- * @param {Object.<string,*>} values - A map of values to send. The key corresponds directly to the Zabbix key name, and the value is the plain value to send to the monitoring system.
- * @returns {Promise} A promise which fulfills when the data has been sent.
+ * Values are given as a map of keys to values, or as a list of entries (see createEntry()). Entries may carry the time at which the value was collected,
+ *  and a key may occur several times in a list, e.g. for sending a series of status changes, which are then recorded in order.
+ * Timestamps are only passed on by transports that support them (the native one).
+ * If a queue is set and the values cannot be sent because the server is unreachable (see isRetryable()), they are queued and sent later, in order,
+ *  before any newer values. While the queue is not empty, new values are appended to it and the whole queue is replayed.
+ * @param {(Object.<string,*>|ZabbixDataProvider.Entry[])} values - A map of values to send, or a list of entries. The key corresponds directly to the Zabbix key name, and the value is the plain value to send to the monitoring system.
+ * @returns {Promise} A promise which fulfills when the data has been sent - after the data queued before it, if any. With the native transport, the fulfillment value
+ *  holds the server's processed/failed/total counts for this data. If the data has been queued instead, the promise is rejected, but the data will be sent later.
  */
 ZabbixDataProvider.prototype.send = function send(values) {
-	return nodefn.call(this._sender.send.bind(this._sender), values);
+	var self = this;
+	var timestamp = Date.now();
+	if (!self._queue) {
+		return self._sendDirectly(values);
+	}
+
+	if (self._queue.getDepth() === 0 && !self._replay) {
+		return self._sendDirectly(values).catch(function(error) {
+			if (isRetryable(error)) {
+				self._queue.push(values, timestamp);
+			}
+			throw error;
+		});
+	}
+
+	var batch = self._queue.push(values, timestamp);
+	self._batchOutcomes.set(batch, null);
+	return self.replayQueue().then(function() {
+		var outcome = self._batchOutcomes.get(batch);
+		if (outcome && outcome.error) {
+			throw outcome.error;
+		}
+		return outcome ? outcome.result : undefined;
+	}).ensure(function() {
+		self._batchOutcomes.delete(batch);
+	});
+};
+
+/**
+ * Record the outcome of sending a queued batch, if a caller of send() is waiting for it.
+ * @param {Object} batch - The batch, as returned by the queue.
+ * @param {*} result - The transport's result, if the batch has been sent.
+ * @param {?Error} error - The error the server has rejected the batch with, if it has.
+ */
+ZabbixDataProvider.prototype._recordBatchOutcome = function _recordBatchOutcome(batch, result, error) {
+	if (this._batchOutcomes.has(batch)) {
+		this._batchOutcomes.set(batch, { result: result, error: error });
+	}
+};
+
+/**
+ * Send the queued values to Zabbix, oldest first. Replay stops at the first batch that cannot be sent, which stays queued.
+ * Batches that the server has rejected, even in part, are logged and removed, since sending them again would not help.
+ * If a replay is already in progress, its promise is returned instead of starting another one.
+ * @returns {Promise} A promise which fulfills when the queue is empty, or rejects with the error that stopped the replay.
+ */
+ZabbixDataProvider.prototype.replayQueue = function replayQueue() {
+	var self = this;
+	if (!self._queue) {
+		return when.resolve();
+	}
+	if (self._replay) {
+		return self._replay;
+	}
+
+	function sendNextBatch() {
+		var batch = self._queue.peek();
+		if (!batch) {
+			return;
+		}
+		return self._sendDirectly(batch.values, batch.timestamp).then(function(result) {
+			self._recordBatchOutcome(batch, result, null);
+			self._queue.remove(batch);
+			return sendNextBatch();
+		}, function(error) {
+			if (isRetryable(error)) {
+				throw error;
+			}
+			self._logger.error({ event: 'ZabbixDataProvider#queuedBatchRejected', error: error, timestamp: batch.timestamp }, 'Zabbix has not accepted queued data, which is dropped: %s', error.message);
+			self._recordBatchOutcome(batch, null, error);
+			self._queue.remove(batch);
+			return sendNextBatch();
+		});
+	}
+
+	self._replay = when.try(sendNextBatch).ensure(function() {
+		self._replay = null;
+	});
+	return self._replay;
+};
+
+/**
+ * Start keeping values that could not be sent in a queue, to be sent later.
+ * @param {?OfflineQueue} queue - The queue to use, or null to stop queueing (values already queued are then not sent anymore).
+ */
+ZabbixDataProvider.prototype.setQueue = function setQueue(queue) {
+	this._queue = queue;
+};
+
+/**
+ * Get the state of the queue of values waiting to be sent.
+ * @returns {{depth: number, dropped: number}} The number of queued batches, and the number of batches dropped due to the queue's limits. Both 0 if there is no queue.
+ */
+ZabbixDataProvider.prototype.getQueueState = function getQueueState() {
+	return {
+		depth: this._queue ? this._queue.getDepth() : 0,
+		dropped: this._queue ? this._queue.getDroppedCount() : 0
+	};
+};
+
+/**
+ * Replace the underlying transport, e.g. after the Zabbix server settings have been reloaded. Sends in progress are not affected.
+ * @param {(external:ZabbixSender|ZabbixNativeSender)} sender - The new sender object.
+ */
+ZabbixDataProvider.prototype.setSender = function setSender(sender) {
+	this._sender = sender;
 };
 
 /**
  * Get the current set of discoverable items registered with this data provider.
+ * @param {string} [listName="processes"] - The discovery list to get.
  * @returns {Object} An object in a Zabbix-compatible shape, with items under the "data" property.
  */
-ZabbixDataProvider.prototype.getDiscoveryData = function getDiscoveryData() {
+ZabbixDataProvider.prototype.getDiscoveryData = function getDiscoveryData(listName) {
 	return {
-		data: this._discoveryItems
+		data: this._discoveryLists[listName || DEFAULT_DISCOVERY_LIST] || []
 	};
 };
 
 /**
  * Add a discoverable item to the list.
  * @param {Object} item - The item to add. Should be a flat item, composed of keys that look like "{#MACRO_NAME}".
+ * @param {string} [listName="processes"] - The discovery list to add the item to. It is created if it does not exist yet.
  */
-ZabbixDataProvider.prototype.addDiscoveryItem = function addDiscoveryItem(item) {
-	this._discoveryItems.push(item);
+ZabbixDataProvider.prototype.addDiscoveryItem = function addDiscoveryItem(item, listName) {
+	listName = listName || DEFAULT_DISCOVERY_LIST;
+	this._discoveryLists[listName] = this._discoveryLists[listName] || [];
+	this._discoveryLists[listName].push(item);
 };
 
 /**
  * Remove a discoverable item from the list. Comparison is made using a key-by-key flat strict equality check (all keys must === the other object's keys).
  * Equality is only checked one way - a removal specification { a: 1, b: 2 } will match list element { a: 1, b: 2, c: 3 }, but not { a: 1, d: 4 }.
  * @param {Object} removalSpecification - A key-value map to compare items against. All items whose properties match all keys' values will be removed.
+ * @param {string} [listName="processes"] - The discovery list to remove items from.
  * @example provider.removeDiscoveryItems({ '{#PROCESS_ID}': 'Application-0' });
  */
-ZabbixDataProvider.prototype.removeDiscoveryItems = function removeDiscoveryItems(removalSpecification) {
-	this._discoveryItems = this._discoveryItems.filter(function removeMatching(discoveryItem) {
+ZabbixDataProvider.prototype.removeDiscoveryItems = function removeDiscoveryItems(removalSpecification, listName) {
+	listName = listName || DEFAULT_DISCOVERY_LIST;
+	this._discoveryLists[listName] = (this._discoveryLists[listName] || []).filter(function removeMatching(discoveryItem) {
 		return !Object.keys(removalSpecification).every(function(removalKey) {
 			return removalSpecification[removalKey] === discoveryItem[removalKey];
 		});
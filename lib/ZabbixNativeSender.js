@@ -0,0 +1,211 @@
+var net = require('net');
+
+var nullLogger = require('./nullLogger');
+var zabbixProtocol = require('./zabbixProtocol');
+
+/**
+ * Convert a timestamp in milliseconds into the seconds ("clock") and nanoseconds ("ns") used by the Zabbix protocol.
+ * @param {number} timestamp - The timestamp, in milliseconds.
+ * @returns {{clock: number, ns: number}}
+ */
+function toClock(timestamp) {
+	return {
+		clock: Math.floor(timestamp / 1000),
+		ns: (timestamp % 1000) * 1000000
+	};
+}
+
+/**
+ * A ZabbixNativeSender talks to the Zabbix server (or proxy) trapper directly over TCP, using the "sender data" protocol.
+ * It is a drop-in replacement for the zabbix-sender module, which relies on the external zabbix_sender binary and the agent's configuration file.
+ * Each call to send() opens a new connection, sends all values in one request and reads the server's response.
+ * @constructor
+ * @param {Object} options - Connection settings.
+ * @param {string} options.hostname - The host name that values are reported for. Must match the host's name on the Zabbix server.
+ * @param {string} [options.server="127.0.0.1"] - Address of the Zabbix server or proxy.
+ * @param {number} [options.port=10051] - The trapper port of the Zabbix server or proxy.
+ * @param {number} [options.timeout=10000] - Time (ms) after which the connection is abandoned if the server has not responded.
+ * @param {Object} [options.logger] - A bunyan-compatible logger.
+ */
+function ZabbixNativeSender(options) {
+	options = options || {};
+	this._hostname = options.hostname;
+	this._server = options.server || '127.0.0.1';
+	this._port = Number(options.port) || 10051;
+	this._timeout = options.timeout || 10000;
+	this._logger = options.logger || nullLogger;
+}
+
+/**
+ * Encode an object as a Zabbix protocol packet: a "ZBXD\x01" header, the data length and the JSON payload.
+ * @static
+ * @param {Object} payload - The request object to serialize.
+ * @returns {Buffer} A packet ready to be written to the socket.
+ */
+ZabbixNativeSender.encodePacket = function encodePacket(payload) {
+	return zabbixProtocol.frame(JSON.stringify(payload));
+};
+
+/**
+ * Decode a complete Zabbix protocol packet into the JSON object it carries.
+ * @static
+ * @param {Buffer} packet - The received packet, including the header.
+ * @returns {Object} The parsed payload.
+ * @throws {Error} If the packet does not start with a valid header, is truncated or does not contain valid JSON.
+ */
+ZabbixNativeSender.decodePacket = function decodePacket(packet) {
+	var data;
+	try {
+		data = zabbixProtocol.unframe(packet);
+	}
+	catch (error) {
+		throw new Error('Invalid response header received from Zabbix');
+	}
+	if (!data) {
+		throw new Error('Truncated response received from Zabbix');
+	}
+	return JSON.parse(data.toString('utf-8'));
+};
+
+/**
+ * Parse the "info" string of a trapper response into numbers.
+ * @static
+ * @param {string} info - The info string, such as "processed: 2; failed: 1; total: 3; seconds spent: 0.000064".
+ * @returns {{processed: number, failed: number, total: number, secondsSpent: number}}
+ */
+ZabbixNativeSender.parseResponseInfo = function parseResponseInfo(info) {
+	function extract(fieldName) {
+		var match = new RegExp(fieldName + ':\\s*([0-9.]+)').exec(info || '');
+		return match ? Number(match[1]) : 0;
+	}
+	return {
+		processed: extract('processed'),
+		failed: extract('failed'),
+		total: extract('total'),
+		secondsSpent: extract('seconds spent')
+	};
+};
+
+/**
+ * Build the "sender data" request for a set of values.
+ * @param {(Object.<string,*>|ZabbixDataProvider.Entry[])} values - A map of Zabbix item keys to values, or a list of entries, which may carry their own timestamps
+ *  and may contain several values for one key.
+ * @param {number} [timestamp] - When the values were collected, in milliseconds. If given, values without a timestamp of their own are stamped with it,
+ *  so that Zabbix records them at that time instead of the time of arrival.
+ * @returns {Object} The request object, ready for encodePacket().
+ */
+ZabbixNativeSender.prototype._buildRequest = function _buildRequest(values, timestamp) {
+	var hostname = this._hostname;
+	var entries = Array.isArray(values) ? values : Object.keys(values).map(function(key) {
+		return { key: key, value: values[key] };
+	});
+	var isTimestamped = Boolean(timestamp);
+	var request = {
+		request: 'sender data',
+		data: entries.map(function(entry) {
+			var data = {
+				host: hostname,
+				key: entry.key,
+				value: String(entry.value)
+			};
+			if (entry.clock !== undefined) {
+				data.clock = entry.clock;
+				data.ns = entry.ns || 0;
+				isTimestamped = true;
+			}
+			else if (timestamp) {
+				var clock = toClock(timestamp);
+				data.clock = clock.clock;
+				data.ns = clock.ns;
+			}
+			return data;
+		})
+	};
+	if (isTimestamped) {
+		// The request's own clock lets the server correct for a difference between our clock and its clock.
+		var now = toClock(Date.now());
+		request.clock = now.clock;
+		request.ns = now.ns;
+	}
+	return request;
+};
+
+/**
+ * Send values for some keys to Zabbix. The signature mirrors that of the zabbix-sender module, with an optional timestamp added.
+ * Besides a map of values, a list of entries with their own timestamps is accepted (see ZabbixDataProvider#send).
+ * The callback is passed an error if the connection fails, the server does not respond in time,
+ *  responds with anything but "success" or reports that some values failed to be processed.
+ * In the last case, the parsed result is available as the error's "result" property.
+ * @param {(Object.<string,*>|ZabbixDataProvider.Entry[])} values - A map of values to send, keyed by the Zabbix item key, or a list of entries.
+ * @param {number} [timestamp] - When the values were collected, in milliseconds. By default, Zabbix uses the time of arrival.
+ * @param {function(?Error, Object=)} callback - Called with the parsed response info (see parseResponseInfo()) on success.
+ */
+ZabbixNativeSender.prototype.send = function send(values, timestamp, callback) {
+	var self = this;
+	if (typeof timestamp === 'function') {
+		callback = timestamp;
+		timestamp = undefined;
+	}
+	var chunks = [];
+	var finished = false;
+
+	function finish(error, result) {
+		if (finished) {
+			return;
+		}
+		finished = true;
+		socket.destroy();
+		callback(error, result);
+	}
+
+	var request = self._buildRequest(values, timestamp);
+	self._logger.trace({ event: 'ZabbixNativeSender#sending', server: self._server, port: self._port, request: request }, 'Sending %d values to %s:%d', request.data.length, self._server, self._port);
+
+	var socket = net.connect({ host: self._server, port: self._port });
+	socket.setTimeout(self._timeout);
+	socket.on('connect', function() {
+		socket.end(ZabbixNativeSender.encodePacket(request));
+	});
+	socket.on('data', function(chunk) {
+		chunks.push(chunk);
+	});
+	socket.on('timeout', function() {
+		var timeoutError = new Error('Timed out waiting for a response from Zabbix at ' + self._server + ':' + self._port);
+		timeoutError.code = 'ETIMEDOUT';
+		finish(timeoutError);
+	});
+	socket.on('error', function(error) {
+		finish(error);
+	});
+	socket.on('close', function() {
+		if (finished) {
+			return;
+		}
+		var response;
+		try {
+			response = ZabbixNativeSender.decodePacket(Buffer.concat(chunks));
+		}
+		catch (error) {
+			return finish(error);
+		}
+		self._logger.trace({ event: 'ZabbixNativeSender#gotResponse', response: response }, 'Got response from Zabbix: %s', response.info);
+		if (response.response !== 'success') {
+			return finish(new Error('Zabbix refused the data: ' + (response.info || response.response)));
+		}
+		var result = ZabbixNativeSender.parseResponseInfo(response.info);
+		if (result.failed > 0) {
+			var failedError = new Error('Zabbix failed to process ' + result.failed + ' of ' + result.total + ' values');
+			failedError.result = result;
+			return finish(failedError);
+		}
+		finish(null, result);
+	});
+};
+
+/**
+ * Tells ZabbixDataProvider that send() accepts a timestamp and lists of entries, unlike the zabbix-sender module.
+ * @type {boolean}
+ */
+ZabbixNativeSender.prototype.acceptsTimestamps = true;
+
+module.exports = ZabbixNativeSender;
@@ -0,0 +1,371 @@
+var fs = require('fs');
+var path = require('path');
+var yaml = require('js-yaml');
+var ProcessFilter = require('./ProcessFilter');
+
+function isPositiveNumber(value) {
+	return typeof value === 'number' && isFinite(value) && value > 0;
+}
+
+function isNonNegativeNumber(value) {
+	return typeof value === 'number' && isFinite(value) && value >= 0;
+}
+
+function isNonEmptyString(value) {
+	return typeof value === 'string' && value.trim() !== '';
+}
+
+function isStringList(value) {
+	return Array.isArray(value) && value.every(isNonEmptyString);
+}
+
+/**
+ * The sub-settings of "errorLog", each with a check function.
+ * @type {Object.<string,function(*): boolean>}
+ */
+var ERROR_LOG_SETTINGS = {
+	enabled: function(value) {
+		return typeof value === 'boolean';
+	},
+	patterns: isStringList,
+	maxLength: isPositiveNumber,
+	maxPerInterval: isPositiveNumber,
+	interval: isPositiveNumber
+};
+
+/**
+ * The sub-settings of "queue", each with a check function.
+ * @type {Object.<string,function(*): boolean>}
+ */
+var QUEUE_SETTINGS = {
+	enabled: function(value) {
+		return typeof value === 'boolean';
+	},
+	maxSize: isPositiveNumber,
+	maxAge: isPositiveNumber,
+	file: isNonEmptyString
+};
+
+/**
+ * The sub-settings of "crashLoop", each with a check function.
+ * @type {Object.<string,function(*): boolean>}
+ */
+var CRASH_LOOP_SETTINGS = {
+	window: isPositiveNumber,
+	restarts: isPositiveNumber
+};
+
+/**
+ * The sub-settings of "throttle", each with a check function.
+ * @type {Object.<string,function(*): boolean>}
+ */
+var THROTTLE_SETTINGS = {
+	enabled: function(value) {
+		return typeof value === 'boolean';
+	},
+	heartbeat: isPositiveNumber,
+	cpuTolerance: isNonNegativeNumber,
+	memoryTolerance: isNonNegativeNumber
+};
+
+/**
+ * The sub-settings of "agent", each with a check function.
+ * @type {Object.<string,function(*): boolean>}
+ */
+var AGENT_SETTINGS = {
+	enabled: function(value) {
+		return typeof value === 'boolean';
+	},
+	port: isPositiveNumber,
+	listenIP: isNonEmptyString,
+	allowedServers: isStringList,
+	timeout: isPositiveNumber
+};
+
+/**
+ * The sub-settings of "prometheus", each with a check function.
+ * @type {Object.<string,function(*): boolean>}
+ */
+var PROMETHEUS_SETTINGS = {
+	enabled: function(value) {
+		return typeof value === 'boolean';
+	},
+	port: isPositiveNumber,
+	listenIP: isNonEmptyString,
+	path: function(value) {
+		return isNonEmptyString(value) && value.charAt(0) === '/';
+	},
+	expireAfter: isPositiveNumber
+};
+
+/**
+ * The sub-settings of "statsd", each with a check function.
+ * @type {Object.<string,function(*): boolean>}
+ */
+var STATSD_SETTINGS = {
+	enabled: function(value) {
+		return typeof value === 'boolean';
+	},
+	host: isNonEmptyString,
+	port: isPositiveNumber,
+	prefix: function(value) {
+		return typeof value === 'string';
+	},
+	tags: function(value) {
+		return typeof value === 'boolean';
+	}
+};
+
+/**
+ * Check a group of settings, such as "errorLog", against the check functions of its sub-settings.
+ * @param {*} value - The value of the group in the configuration.
+ * @param {Object.<string,function(*): boolean>} subSettings - The known sub-settings.
+ * @returns {boolean} Whether the value is an object containing only known, valid sub-settings.
+ */
+function isSettingGroup(value, subSettings) {
+	return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+		Object.keys(value).every(function(subSettingName) {
+			return subSettings.hasOwnProperty(subSettingName) && subSettings[subSettingName](value[subSettingName]);
+		});
+}
+
+/**
+ * The settings understood in a configuration file, each with a check function and a description of the expected value, used in error messages.
+ * @type {Object.<string,{check: function(*): boolean, expected: string}>}
+ */
+var SETTINGS = {
+	server: { check: isNonEmptyString, expected: 'a host name or address' },
+	port: { check: isPositiveNumber, expected: 'a port number' },
+	hostname: { check: isNonEmptyString, expected: 'a host name' },
+	transport: {
+		check: function(value) {
+			return value === 'binary' || value === 'native';
+		},
+		expected: '"binary" or "native"'
+	},
+	processListInterval: { check: isPositiveNumber, expected: 'a number of milliseconds' },
+	processManagerInterval: { check: isPositiveNumber, expected: 'a number of milliseconds' },
+	discoveryInterval: { check: isPositiveNumber, expected: 'a number of milliseconds' },
+	statusUpdateDelay: { check: isPositiveNumber, expected: 'a number of milliseconds' },
+	deletedGracePeriod: { check: isNonNegativeNumber, expected: 'a number of milliseconds' },
+	identity: {
+		check: function(value) {
+			return value === 'pm_id' || value === 'instance' || value === 'ordinal';
+		},
+		expected: '"pm_id", "instance" or "ordinal"'
+	},
+	pushDiscovery: {
+		check: function(value) {
+			return typeof value === 'boolean';
+		},
+		expected: 'true or false'
+	},
+	pm2Homes: { check: isStringList, expected: 'a list of PM2 home directories' },
+	filters: {
+		check: function(value) {
+			return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+				Object.keys(value).every(function(filterKey) {
+					return (filterKey === 'include' || filterKey === 'exclude') && isStringList(value[filterKey]);
+				});
+		},
+		expected: 'an object with "include" and/or "exclude" lists of patterns'
+	},
+	errorLog: {
+		check: function(value) {
+			return isSettingGroup(value, ERROR_LOG_SETTINGS);
+		},
+		expected: 'an object with "enabled" (true/false), "patterns" (a list of regular expressions), and "maxLength", "maxPerInterval" and "interval" (numbers)'
+	},
+	queue: {
+		check: function(value) {
+			return isSettingGroup(value, QUEUE_SETTINGS);
+		},
+		expected: 'an object with "enabled" (true/false), "maxSize" and "maxAge" (numbers) and "file" (a path)'
+	},
+	throttle: {
+		check: function(value) {
+			return isSettingGroup(value, THROTTLE_SETTINGS);
+		},
+		expected: 'an object with "enabled" (true/false), "heartbeat" (a number of milliseconds), "cpuTolerance" and "memoryTolerance" (numbers)'
+	},
+	crashLoop: {
+		check: function(value) {
+			return isSettingGroup(value, CRASH_LOOP_SETTINGS);
+		},
+		expected: 'an object with "window" (a number of milliseconds) and "restarts" (a number)'
+	},
+	agent: {
+		check: function(value) {
+			return isSettingGroup(value, AGENT_SETTINGS);
+		},
+		expected: 'an object with "enabled" (true/false), "port" and "timeout" (numbers), "listenIP" (an address) and "allowedServers" (a list of addresses or host names)'
+	},
+	prometheus: {
+		check: function(value) {
+			return isSettingGroup(value, PROMETHEUS_SETTINGS);
+		},
+		expected: 'an object with "enabled" (true/false), "port" and "expireAfter" (numbers), "listenIP" (an address) and "path" (starting with "/")'
+	},
+	statsd: {
+		check: function(value) {
+			return isSettingGroup(value, STATSD_SETTINGS);
+		},
+		expected: 'an object with "enabled" and "tags" (true/false), "host" (a host name or address), "port" (a number) and "prefix" (a string)'
+	}
+};
+
+/**
+ * Check a configuration object for unknown settings and invalid values.
+ * All problems are collected, so that they can be fixed in one go.
+ * @param {Object} configuration - The parsed configuration.
+ * @returns {string[]} A list of problem descriptions. Empty if the configuration is valid.
+ */
+function validate(configuration) {
+	if (configuration === null || typeof configuration !== 'object' || Array.isArray(configuration)) {
+		return [ 'the configuration must be an object (a map of settings)' ];
+	}
+
+	var problems = [];
+	Object.keys(configuration).forEach(function(settingName) {
+		var setting = SETTINGS[settingName];
+		if (!setting) {
+			problems.push('unknown setting "' + settingName + '" (known settings: ' + Object.keys(SETTINGS).join(', ') + ')');
+			return;
+		}
+		if (!setting.check(configuration[settingName])) {
+			problems.push('"' + settingName + '" must be ' + setting.expected + ', got ' + JSON.stringify(configuration[settingName]));
+		}
+	});
+
+	// Patterns are only compiled if the filter's shape is valid in the first place.
+	if (configuration.filters && problems.length === 0) {
+		[ 'include', 'exclude' ].forEach(function(filterKey) {
+			(configuration.filters[filterKey] || []).forEach(function(pattern) {
+				try {
+					ProcessFilter.compilePattern(pattern);
+				}
+				catch (error) {
+					problems.push('"filters.' + filterKey + '": ' + error.message);
+				}
+			});
+		});
+	}
+
+	if (configuration.errorLog && problems.length === 0) {
+		(configuration.errorLog.patterns || []).forEach(function(pattern) {
+			try {
+				new RegExp(pattern);
+			}
+			catch (error) {
+				problems.push('"errorLog.patterns": ' + error.message);
+			}
+		});
+	}
+
+	return problems;
+}
+
+/**
+ * Parse the text of a configuration file. Files ending in ".yml" or ".yaml" are read as YAML, all others as JSON.
+ * @param {string} text - The file's content.
+ * @param {string} fileName - The file name, used for determining the format.
+ * @returns {Object} The parsed configuration. An empty file yields an empty configuration.
+ * @throws {Error} If the file cannot be parsed.
+ */
+function parse(text, fileName) {
+	var extension = path.extname(fileName).toLowerCase();
+	if (extension === '.yml' || extension === '.yaml') {
+		var parsed = yaml.safeLoad(text, { filename: fileName });
+		return (parsed === undefined || parsed === null) ? {} : parsed;
+	}
+	return JSON.parse(text);
+}
+
+/**
+ * Read, parse and validate a configuration file.
+ * The file is read synchronously, since this is only done at start-up and on reload (SIGHUP).
+ * @param {string} filePath - Path to a JSON or YAML configuration file.
+ * @returns {Object} The configuration, with settings named as in the file (see the README for a list).
+ * @throws {Error} If the file cannot be read or parsed, or the configuration is invalid. The message names the file and lists all problems found.
+ */
+function load(filePath) {
+	var configuration;
+	try {
+		configuration = parse(fs.readFileSync(filePath, 'utf-8'), filePath);
+	}
+	catch (error) {
+		throw new Error('Could not load configuration file ' + filePath + ': ' + error.message);
+	}
+
+	var problems = validate(configuration);
+	if (problems.length > 0) {
+		throw new Error('Invalid configuration in ' + filePath + ': ' + problems.join('; '));
+	}
+	return configuration;
+}
+
+/**
+ * Convert a value set with "pm2 set" into a setting. PM2 keeps such values as strings, so strings that are valid JSON - numbers,
+ *  true/false, lists and objects such as '{"enabled":true}' - are parsed, unless the setting takes a string that happens to look like one.
+ * @param {string} settingName - The name of the setting.
+ * @param {*} value - The value as passed by PM2.
+ * @returns {*}
+ */
+function parseModuleValue(settingName, value) {
+	if (typeof value !== 'string') {
+		return value;
+	}
+	var parsed;
+	try {
+		parsed = JSON.parse(value);
+	}
+	catch (error) {
+		return value;
+	}
+	var setting = SETTINGS[settingName];
+	if (setting && !setting.check(parsed) && setting.check(value)) {
+		return value;
+	}
+	return parsed;
+}
+
+/**
+ * Read and validate the configuration of pm2-zabbix running as a PM2 module. PM2 passes the settings made with
+ *  "pm2 set <module name>:<setting> <value>" to the module as a JSON object, in an environment variable named after the module.
+ * The settings are named as in the configuration file. The "config" setting may name a configuration file to read further settings from,
+ *  which are overridden by the ones made with "pm2 set". Settings set to an empty string are ignored, so that they can be cleared.
+ * @param {string} [text] - The JSON object found in the environment. No settings, if not given.
+ * @returns {Object} The configuration, with settings named as in the configuration file.
+ * @throws {Error} If the configuration cannot be parsed, the configuration file cannot be loaded, or a setting is invalid.
+ */
+function loadModule(text) {
+	var moduleConfiguration;
+	try {
+		moduleConfiguration = JSON.parse(text || '{}');
+	}
+	catch (error) {
+		throw new Error('Could not parse the PM2 module configuration: ' + error.message);
+	}
+	if (moduleConfiguration === null || typeof moduleConfiguration !== 'object' || Array.isArray(moduleConfiguration)) {
+		throw new Error('Could not parse the PM2 module configuration: not an object');
+	}
+
+	var configuration = {};
+	Object.keys(moduleConfiguration).forEach(function(settingName) {
+		if (settingName !== 'config' && moduleConfiguration[settingName] !== '') {
+			configuration[settingName] = parseModuleValue(settingName, moduleConfiguration[settingName]);
+		}
+	});
+	var problems = validate(configuration);
+	if (problems.length > 0) {
+		throw new Error('Invalid PM2 module configuration (see "pm2 conf"): ' + problems.join('; '));
+	}
+
+	var filePath = moduleConfiguration.config;
+	return Object.assign(isNonEmptyString(filePath) ? load(filePath) : {}, configuration);
+}
+
+module.exports.validate = validate;
+module.exports.parse = parse;
+module.exports.load = load;
+module.exports.loadModule = loadModule;
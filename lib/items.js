@@ -0,0 +1,704 @@
+/**
+ * The Zabbix items that pm2-zabbix sends, and how their keys are built.
+ * This is the one place where item keys are defined: PM2ZabbixMonitor uses it for sending, and TemplateGenerator for building
+ *  the Zabbix template, so that the two always agree.
+ */
+
+/**
+ * The version of pm2-zabbix, reported as "pm2zabbix.version".
+ * @type {string}
+ */
+var version = require('../package.json').version;
+
+/**
+ * Quote a parameter of a Zabbix item key if necessary, the same way Zabbix quotes LLD macro values substituted into item prototype keys.
+ * @param {string} parameter - The raw parameter value.
+ * @returns {string} The parameter, safe to embed in an item key.
+ */
+function quoteKeyParameter(parameter) {
+	parameter = String(parameter);
+	if (/^[ "]/.test(parameter) || /[,\]]/.test(parameter)) {
+		return '"' + parameter.replace(/"/g, '\\"') + '"';
+	}
+	return parameter;
+}
+
+/**
+ * Split an item key into its name and parameters, undoing the quoting done by quoteKeyParameter().
+ * @param {string} key - The item key, e.g. 'pm2.processes["api, v2-0",cpu]'.
+ * @returns {{name: string, parameters: string[]}} The key's name (e.g. "pm2.processes") and its parameters (e.g. [ "api, v2-0", "cpu" ]).
+ *  A key without brackets has no parameters.
+ * @throws {Error} If the key is malformed.
+ */
+function parseKey(key) {
+	var match = /^([^\[\]]+?)(?:\[(.*)\])?$/.exec(String(key).trim());
+	if (!match) {
+		throw new Error('Malformed item key: ' + key);
+	}
+	if (match[2] === undefined) {
+		return { name: match[1], parameters: [] };
+	}
+
+	var parameters = [];
+	var rest = match[2];
+	while (true) {
+		rest = rest.replace(/^ +/, '');
+		var parameter;
+		if (rest.charAt(0) === '"') {
+			var quoted = /^"((?:[^"\\]|\\.)*)"/.exec(rest);
+			if (!quoted) {
+				throw new Error('Unterminated quoted parameter in item key: ' + key);
+			}
+			parameter = quoted[1].replace(/\\"/g, '"');
+			rest = rest.slice(quoted[0].length).replace(/^ +/, '');
+			if (rest !== '' && rest.charAt(0) !== ',') {
+				throw new Error('Unexpected text after a quoted parameter in item key: ' + key);
+			}
+		}
+		else {
+			var commaIndex = rest.indexOf(',');
+			parameter = (commaIndex >= 0) ? rest.slice(0, commaIndex) : rest;
+			rest = rest.slice(parameter.length);
+		}
+		parameters.push(parameter);
+		if (rest === '') {
+			return { name: match[1], parameters: parameters };
+		}
+		// Skip the comma.
+		rest = rest.slice(1);
+	}
+}
+
+/**
+ * Get the key of a data item of a PM2-managed process, e.g. "pm2.processes[index-0,cpu]".
+ * @param {string} processID - The (possibly instance-qualified) process ID, or an LLD macro.
+ * @param {string} dataItem - The item name, e.g. "cpu" (see PROCESS_ITEMS).
+ * @returns {string}
+ */
+function processKey(processID, dataItem) {
+	return 'pm2.processes[' + quoteKeyParameter(processID) + ',' + dataItem + ']';
+}
+
+/**
+ * Get the key of a custom metric of a PM2-managed process. Numeric metrics go to "pm2.metrics[...]", and all others to "pm2.metrics.text[...]".
+ * @param {string} processID - The (possibly instance-qualified) process ID, or an LLD macro.
+ * @param {string} metricName - The name of the metric, or an LLD macro.
+ * @param {boolean} isNumeric - Whether the metric's value is a number.
+ * @returns {string}
+ */
+function metricKey(processID, metricName, isNumeric) {
+	return (isNumeric ? 'pm2.metrics' : 'pm2.metrics.text') + '[' + quoteKeyParameter(processID) + ',' + quoteKeyParameter(metricName) + ']';
+}
+
+/**
+ * Get the key of a data item of the PM2 daemon, e.g. "pm2.status", or "pm2.status[alice]" for a named PM2 instance.
+ * @param {string} dataItem - The item name, e.g. "status" (see MANAGER_ITEMS).
+ * @param {string} [instance] - The name of the PM2 instance, or an LLD macro.
+ * @returns {string}
+ */
+function managerKey(dataItem, instance) {
+	return instance ? 'pm2.' + dataItem + '[' + quoteKeyParameter(instance) + ']' : 'pm2.' + dataItem;
+}
+
+/**
+ * Get the key of the discovery rule that a discovery list is served under, e.g. "pm2.processes".
+ * @param {string} listName - The name of the discovery list.
+ * @returns {string}
+ */
+function discoveryKey(listName) {
+	return 'pm2.' + listName;
+}
+
+/**
+ * Get the key of an aggregate data item of an application (all processes sharing a name), e.g. "pm2.apps[api,memory.sum]".
+ * @param {string} appName - The (possibly instance-qualified) application name, or an LLD macro.
+ * @param {string} dataItem - The item name, e.g. "memory.sum" (see APP_ITEMS).
+ * @returns {string}
+ */
+function appKey(appName, dataItem) {
+	return 'pm2.apps[' + quoteKeyParameter(appName) + ',' + dataItem + ']';
+}
+
+/**
+ * A description of a Zabbix item.
+ * @typedef {Object} ItemDefinition
+ * @property {string} item - The item name, used in the key.
+ * @property {string} name - A human-readable name, used in the template.
+ * @property {string} valueType - The Zabbix value type: "float", "char", "log", "unsigned" or "text".
+ * @property {string} [units] - The units shown by Zabbix.
+ * @property {string} [description] - A description for the template.
+ * @property {boolean} [deployment] - Whether the item describes the code a process runs. Such items are sent right away when a process starts running different code,
+ *  besides being sent with the process list.
+ * @property {boolean} [counter] - Whether the value only ever grows (until PM2 or pm2-zabbix restarts), so that other monitoring systems can treat it as a counter.
+ * @property {function(ProcessState): *} [collect] - For process items sent with the process list, the function that gets the value out of a process's state.
+ *  Items without it are sent by other means (real-time updates or error forwarding). For application items, the function gets the states of all
+ *  the application's processes instead, for PM2 daemon items, the daemon's state and the tracker, and for items about pm2-zabbix itself, a SelfState.
+ */
+
+/**
+ * The data items of each PM2-managed process.
+ * @type {ItemDefinition[]}
+ */
+var PROCESS_ITEMS = [
+	{
+		item: 'cpu',
+		name: 'CPU Usage',
+		valueType: 'float',
+		units: '%',
+		collect: function(processState) {
+			return processState.resources.cpu;
+		}
+	},
+	{
+		item: 'memory',
+		name: 'Memory Usage',
+		valueType: 'unsigned',
+		units: 'B',
+		collect: function(processState) {
+			return processState.resources.memory;
+		}
+	},
+	{
+		item: 'restarts',
+		name: 'Restarts',
+		valueType: 'unsigned',
+		counter: true,
+		collect: function(processState) {
+			return processState.restarts;
+		}
+	},
+	{
+		item: 'status',
+		name: 'Status',
+		valueType: 'text',
+		description: 'The PM2 status of the process, e.g. "online", "stopped" or "errored". "deleted" once the process has been deleted from PM2, until it is dropped from discovery.',
+		collect: function(processState) {
+			return processState.status;
+		}
+	},
+	{
+		item: 'pid',
+		name: 'PID',
+		valueType: 'unsigned',
+		description: 'The PID of the process. Zero if the process is not running.',
+		collect: function(processState) {
+			return processState.pid || 0;
+		}
+	},
+	{
+		item: 'uptime',
+		name: 'Uptime',
+		valueType: 'unsigned',
+		units: 'uptime',
+		description: 'Time since the process was last (re)started. Zero if the process is not online.',
+		collect: function(processState) {
+			return processState.getUptime();
+		}
+	},
+	{
+		item: 'unstable_restarts',
+		name: 'Unstable Restarts',
+		valueType: 'unsigned',
+		counter: true,
+		description: 'Restarts that PM2 has considered unstable, because the process exited too soon after starting.',
+		collect: function(processState) {
+			return processState.unstableRestarts || 0;
+		}
+	},
+	{
+		item: 'exec_mode',
+		name: 'Exec Mode',
+		valueType: 'char',
+		description: 'How PM2 runs the process: fork or cluster.',
+		collect: function(processState) {
+			return processState.execMode || '';
+		}
+	},
+	{
+		item: 'node_version',
+		name: 'Node.js Version',
+		valueType: 'char',
+		collect: function(processState) {
+			return processState.nodeVersion || '';
+		}
+	},
+	{
+		item: 'interpreter',
+		name: 'Interpreter',
+		valueType: 'char',
+		collect: function(processState) {
+			return processState.interpreter || '';
+		}
+	},
+	{
+		item: 'created_at',
+		name: 'Created At',
+		valueType: 'unsigned',
+		units: 'unixtime',
+		description: 'When the process was first added to PM2.',
+		collect: function(processState) {
+			// Zabbix expects "unixtime" items in seconds.
+			return processState.createdAt ? Math.floor(processState.createdAt / 1000) : 0;
+		}
+	},
+	{
+		item: 'autorestart',
+		name: 'Autorestart Enabled',
+		valueType: 'unsigned',
+		description: '1 if PM2 restarts the process automatically when it exits, 0 otherwise.',
+		collect: function(processState) {
+			return processState.autorestart ? 1 : 0;
+		}
+	},
+	{
+		item: 'watch',
+		name: 'Watch Enabled',
+		valueType: 'unsigned',
+		description: '1 if PM2 restarts the process when its files change, 0 otherwise.',
+		collect: function(processState) {
+			return processState.watch ? 1 : 0;
+		}
+	},
+	{
+		item: 'version',
+		name: 'App Version',
+		valueType: 'char',
+		deployment: true,
+		description: 'The version in the application\'s package.json, as recorded by PM2. Empty if PM2 does not record it (PM2 2.x does not).',
+		collect: function(processState) {
+			return (processState.deployment && processState.deployment.version) || '';
+		}
+	},
+	{
+		item: 'vcs.revision',
+		name: 'Revision',
+		valueType: 'char',
+		deployment: true,
+		description: 'The revision (e.g. the git commit) the application\'s code is at, if it is in a repository that PM2 recognizes (git, Mercurial or Subversion).',
+		collect: function(processState) {
+			return (processState.deployment && processState.deployment.revision) || '';
+		}
+	},
+	{
+		item: 'vcs.branch',
+		name: 'Branch',
+		valueType: 'char',
+		deployment: true,
+		collect: function(processState) {
+			return (processState.deployment && processState.deployment.branch) || '';
+		}
+	},
+	{
+		item: 'vcs.url',
+		name: 'Repository',
+		valueType: 'char',
+		deployment: true,
+		description: 'The URL of the repository the application\'s code comes from, without credentials.',
+		collect: function(processState) {
+			return (processState.deployment && processState.deployment.repository) || '';
+		}
+	},
+	{
+		item: 'vcs.comment',
+		name: 'Commit Message',
+		valueType: 'text',
+		deployment: true,
+		collect: function(processState) {
+			return (processState.deployment && processState.deployment.comment) || '';
+		}
+	},
+	{
+		item: 'vcs.update_time',
+		name: 'Versioning Updated At',
+		valueType: 'unsigned',
+		units: 'unixtime',
+		deployment: true,
+		description: 'When PM2 last read the versioning information of the application, usually when the process was last started.',
+		collect: function(processState) {
+			var updatedAt = processState.deployment && processState.deployment.updatedAt;
+			return updatedAt ? Math.floor(updatedAt / 1000) : 0;
+		}
+	},
+	{
+		item: 'restart_rate',
+		name: 'Restart Rate',
+		valueType: 'float',
+		description: 'Restarts per minute, averaged over the crash loop window (5 minutes by default). Every return to "online" counts as a restart.'
+	},
+	{
+		item: 'last_restart',
+		name: 'Time Since Last Restart',
+		valueType: 'unsigned',
+		units: 's',
+		description: 'Time since the process last came back online. Keeps growing while the process is down.'
+	},
+	{
+		item: 'crash_loop',
+		name: 'Crash Loop',
+		valueType: 'unsigned',
+		description: '1 if the process has restarted at least as often as the crash loop threshold (5 times by default) within the crash loop window, 0 otherwise.'
+	},
+	{
+		item: 'errors',
+		name: 'Errors',
+		valueType: 'log',
+		description: 'Error output (stderr) and uncaught exceptions of the process, forwarded by pm2-zabbix when started with --forward-errors.'
+	},
+	{
+		item: 'error_count',
+		name: 'Error Count',
+		valueType: 'unsigned',
+		description: 'The number of error lines the process produced in the last interval (1 minute by default). Only sent with --forward-errors.'
+	}
+];
+
+/**
+ * Get the states of the processes that are online.
+ * @param {ProcessState[]} processStates
+ * @returns {ProcessState[]}
+ */
+function onlineOnly(processStates) {
+	return processStates.filter(function(processState) {
+		return processState.status === 'online';
+	});
+}
+
+/**
+ * Add up a resource usage figure of several processes.
+ * @param {ProcessState[]} processStates
+ * @param {string} resource - "cpu" or "memory".
+ * @returns {number}
+ */
+function sumOf(processStates, resource) {
+	return processStates.reduce(function(sum, processState) {
+		return sum + ((processState.resources && processState.resources[resource]) || 0);
+	}, 0);
+}
+
+/**
+ * Get the highest resource usage figure among several processes.
+ * @param {ProcessState[]} processStates
+ * @param {string} resource - "cpu" or "memory".
+ * @returns {number} Zero if there are no processes.
+ */
+function maxOf(processStates, resource) {
+	return processStates.reduce(function(max, processState) {
+		return Math.max(max, (processState.resources && processState.resources[resource]) || 0);
+	}, 0);
+}
+
+/**
+ * Count the different values of a deployment field among several processes. Processes for which the value is unknown are not counted.
+ * @param {ProcessState[]} processStates
+ * @param {string} field - A ProcessState.Deployment field, e.g. "revision".
+ * @returns {number}
+ */
+function countDeployments(processStates, field) {
+	var seen = {};
+	processStates.forEach(function(processState) {
+		var value = processState.deployment && processState.deployment[field];
+		if (value) {
+			seen[value] = true;
+		}
+	});
+	return Object.keys(seen).length;
+}
+
+/**
+ * The aggregate data items of each application - that is, of all processes sharing a name, such as the instances of a cluster-mode app.
+ * Averages are taken over the online instances only, so that stopped instances do not drag them down.
+ * @type {ItemDefinition[]}
+ */
+var APP_ITEMS = [
+	{
+		item: 'cpu.sum',
+		name: 'Total CPU Usage',
+		valueType: 'float',
+		units: '%',
+		collect: function(processStates) {
+			return sumOf(processStates, 'cpu');
+		}
+	},
+	{
+		item: 'cpu.avg',
+		name: 'Average CPU Usage',
+		valueType: 'float',
+		units: '%',
+		description: 'Average CPU usage of the online instances.',
+		collect: function(processStates) {
+			var online = onlineOnly(processStates);
+			return online.length > 0 ? sumOf(online, 'cpu') / online.length : 0;
+		}
+	},
+	{
+		item: 'cpu.max',
+		name: 'Highest CPU Usage',
+		valueType: 'float',
+		units: '%',
+		collect: function(processStates) {
+			return maxOf(processStates, 'cpu');
+		}
+	},
+	{
+		item: 'memory.sum',
+		name: 'Total Memory Usage',
+		valueType: 'unsigned',
+		units: 'B',
+		collect: function(processStates) {
+			return sumOf(processStates, 'memory');
+		}
+	},
+	{
+		item: 'memory.avg',
+		name: 'Average Memory Usage',
+		valueType: 'unsigned',
+		units: 'B',
+		description: 'Average memory usage of the online instances.',
+		collect: function(processStates) {
+			var online = onlineOnly(processStates);
+			return online.length > 0 ? Math.round(sumOf(online, 'memory') / online.length) : 0;
+		}
+	},
+	{
+		item: 'memory.max',
+		name: 'Highest Memory Usage',
+		valueType: 'unsigned',
+		units: 'B',
+		collect: function(processStates) {
+			return maxOf(processStates, 'memory');
+		}
+	},
+	{
+		item: 'online',
+		name: 'Instances Online',
+		valueType: 'unsigned',
+		collect: function(processStates) {
+			return onlineOnly(processStates).length;
+		}
+	},
+	{
+		item: 'instances',
+		name: 'Instances Configured',
+		valueType: 'unsigned',
+		description: 'The number of instances the application has been started with. If PM2 chose the number (e.g. "max"), the number of instances PM2 has created.',
+		collect: function(processStates) {
+			var configured = processStates.reduce(function(instances, processState) {
+				return (processState.instances > 0) ? processState.instances : instances;
+			}, 0);
+			return configured || processStates.length;
+		}
+	},
+	{
+		item: 'versions',
+		name: 'Versions Running',
+		valueType: 'unsigned',
+		description: 'The number of different package versions the application\'s instances run. More than 1 while a deployment is under way, or if it has failed for some instances.',
+		collect: function(processStates) {
+			return countDeployments(processStates, 'version');
+		}
+	},
+	{
+		item: 'revisions',
+		name: 'Revisions Running',
+		valueType: 'unsigned',
+		description: 'The number of different revisions the application\'s instances run. More than 1 while a deployment is under way, or if it has failed for some instances.',
+		collect: function(processStates) {
+			return countDeployments(processStates, 'revision');
+		}
+	},
+	{
+		item: 'restarts',
+		name: 'Total Restarts',
+		valueType: 'unsigned',
+		counter: true,
+		collect: function(processStates) {
+			return processStates.reduce(function(sum, processState) {
+				return sum + (processState.restarts || 0);
+			}, 0);
+		}
+	}
+];
+
+/**
+ * The data items of the PM2 daemon.
+ * @type {ItemDefinition[]}
+ */
+var MANAGER_ITEMS = [
+	{
+		item: 'cpu',
+		name: 'PM2 Daemon CPU Usage',
+		valueType: 'float',
+		units: '%',
+		collect: function(daemonState) {
+			return daemonState.resources.cpu;
+		}
+	},
+	{
+		item: 'memory',
+		name: 'PM2 Daemon Memory Usage',
+		valueType: 'unsigned',
+		units: 'B',
+		collect: function(daemonState) {
+			return daemonState.resources.memory;
+		}
+	},
+	{
+		item: 'pid',
+		name: 'PM2 Daemon PID',
+		valueType: 'unsigned',
+		collect: function(daemonState) {
+			return daemonState.pid;
+		}
+	},
+	{
+		item: 'status',
+		name: 'PM2 Daemon Status',
+		valueType: 'text',
+		collect: function(daemonState) {
+			return daemonState.status;
+		}
+	},
+	{
+		item: 'connected',
+		name: 'PM2 Tracker Connected',
+		valueType: 'unsigned',
+		description: '1 if pm2-zabbix is connected to the PM2 daemon and receives real-time process events, 0 while it is reconnecting.',
+		collect: function(daemonState, tracker) {
+			return tracker.isConnected() ? 1 : 0;
+		}
+	}
+];
+
+/**
+ * The state of pm2-zabbix itself, which the self-monitoring items are collected from.
+ * @typedef {Object} SelfState
+ * @property {string} status - "running", or "stopped" when shutting down.
+ * @property {{depth: number, dropped: number}} queue - The state of the offline queue (see ZabbixDataProvider#getQueueState).
+ * @property {ZabbixDataProvider.SendStats} sendStats - Statistics of the sends made so far.
+ * @property {number} now - The current time, in milliseconds.
+ */
+
+/**
+ * Items about pm2-zabbix itself. Their "item" is the complete key, and they are collected from a SelfState.
+ * @type {ItemDefinition[]}
+ */
+var SELF_ITEMS = [
+	{
+		item: 'pm2zabbix.status',
+		name: 'pm2-zabbix status',
+		valueType: 'text',
+		description: '"running" while pm2-zabbix runs, and "stopped" once it has been shut down cleanly.',
+		collect: function(selfState) {
+			return selfState.status;
+		}
+	},
+	{
+		item: 'pm2zabbix.heartbeat',
+		name: 'pm2-zabbix heartbeat',
+		valueType: 'unsigned',
+		units: 'unixtime',
+		description: 'The time at which pm2-zabbix last reported its own state. Stops changing if pm2-zabbix dies or hangs.',
+		collect: function(selfState) {
+			return Math.floor(selfState.now / 1000);
+		}
+	},
+	{
+		item: 'pm2zabbix.version',
+		name: 'pm2-zabbix version',
+		valueType: 'char',
+		collect: function() {
+			return version;
+		}
+	},
+	{
+		item: 'pm2zabbix.last_send',
+		name: 'pm2-zabbix last successful send',
+		valueType: 'unsigned',
+		units: 'unixtime',
+		description: 'When data was last sent to Zabbix successfully, before this value was sent.',
+		collect: function(selfState) {
+			return selfState.sendStats.lastSuccessAt ? Math.floor(selfState.sendStats.lastSuccessAt / 1000) : 0;
+		}
+	},
+	{
+		item: 'pm2zabbix.latency',
+		name: 'pm2-zabbix send latency',
+		valueType: 'float',
+		units: 's',
+		description: 'How long the last successful send to Zabbix took.',
+		collect: function(selfState) {
+			return (selfState.sendStats.latency || 0) / 1000;
+		}
+	},
+	{
+		item: 'pm2zabbix.batches.sent',
+		name: 'pm2-zabbix batches sent',
+		valueType: 'unsigned',
+		counter: true,
+		description: 'Number of batches of values sent to Zabbix successfully since pm2-zabbix started.',
+		collect: function(selfState) {
+			return selfState.sendStats.batches;
+		}
+	},
+	{
+		item: 'pm2zabbix.batches.failed',
+		name: 'pm2-zabbix batches failed',
+		valueType: 'unsigned',
+		counter: true,
+		description: 'Number of batches that could not be sent to Zabbix, or were (partly) rejected by it, since pm2-zabbix started.',
+		collect: function(selfState) {
+			return selfState.sendStats.failedBatches;
+		}
+	},
+	{
+		item: 'pm2zabbix.values.processed',
+		name: 'pm2-zabbix values processed',
+		valueType: 'unsigned',
+		counter: true,
+		description: 'Number of values that Zabbix has processed since pm2-zabbix started. With the binary transport, the number of values sent.',
+		collect: function(selfState) {
+			return selfState.sendStats.processed;
+		}
+	},
+	{
+		item: 'pm2zabbix.values.failed',
+		name: 'pm2-zabbix values failed',
+		valueType: 'unsigned',
+		counter: true,
+		description: 'Number of values that Zabbix has failed to process (e.g. for lack of a matching item) since pm2-zabbix started. Only reported by the native transport.',
+		collect: function(selfState) {
+			return selfState.sendStats.failed;
+		}
+	},
+	{
+		item: 'pm2zabbix.queue',
+		name: 'pm2-zabbix queued batches',
+		valueType: 'unsigned',
+		description: 'Number of batches of values waiting to be sent to Zabbix, kept while the server was unreachable.',
+		collect: function(selfState) {
+			return selfState.queue.depth;
+		}
+	},
+	{
+		item: 'pm2zabbix.queue.dropped',
+		name: 'pm2-zabbix dropped batches',
+		valueType: 'unsigned',
+		counter: true,
+		description: 'Number of queued batches dropped due to the queue size or age limit since pm2-zabbix started.',
+		collect: function(selfState) {
+			return selfState.queue.dropped;
+		}
+	}
+];
+
+module.exports.quoteKeyParameter = quoteKeyParameter;
+module.exports.parseKey = parseKey;
+module.exports.processKey = processKey;
+module.exports.metricKey = metricKey;
+module.exports.managerKey = managerKey;
+module.exports.appKey = appKey;
+module.exports.discoveryKey = discoveryKey;
+module.exports.PROCESS_ITEMS = PROCESS_ITEMS;
+module.exports.APP_ITEMS = APP_ITEMS;
+module.exports.MANAGER_ITEMS = MANAGER_ITEMS;
+module.exports.SELF_ITEMS = SELF_ITEMS;
@@ -0,0 +1,13 @@
+// nullLogger: essentially a fake bunyan logger API, used when no logger has been passed.
+function noLog() {
+	return;
+}
+
+module.exports = {
+	trace: noLog,
+	debug: noLog,
+	info: noLog,
+	warn: noLog,
+	error: noLog,
+	fatal: noLog
+};
@@ -0,0 +1,64 @@
+/**
+ * Framing of the Zabbix protocol, shared by the sender (talking to the trapper) and the agent listener (answering passive checks).
+ * Every packet consists of the "ZBXD\x01" signature, the 64-bit little-endian length of the data, and the data itself.
+ */
+
+/**
+ * The protocol signature that every Zabbix packet starts with: "ZBXD" followed by the protocol flags byte (0x01).
+ * @type {Buffer}
+ */
+var HEADER = Buffer.from('ZBXD\x01', 'binary');
+/**
+ * Length of the packet header: the signature plus the 64-bit little-endian data length.
+ * @type {number}
+ */
+var HEADER_LENGTH = HEADER.length + 8;
+
+/**
+ * Wrap data in a Zabbix protocol packet.
+ * @param {(Buffer|string)} data - The data. Strings are encoded as UTF-8.
+ * @returns {Buffer} A packet ready to be written to a socket.
+ */
+function frame(data) {
+	data = Buffer.isBuffer(data) ? data : Buffer.from(String(data), 'utf-8');
+	var header = Buffer.alloc(HEADER_LENGTH);
+	HEADER.copy(header, 0);
+	// Our packets never exceed 4 GiB, so the upper half of the length stays zero.
+	header.writeUInt32LE(data.length, HEADER.length);
+	header.writeUInt32LE(0, HEADER.length + 4);
+	return Buffer.concat([ header, data ]);
+}
+
+/**
+ * Check whether received bytes start like a Zabbix protocol packet. Shorter input is checked as far as it goes.
+ * @param {Buffer} buffer - The bytes received so far.
+ * @returns {boolean}
+ */
+function hasHeader(buffer) {
+	var length = Math.min(buffer.length, HEADER.length);
+	return buffer.slice(0, length).toString('binary') === HEADER.toString('binary').slice(0, length);
+}
+
+/**
+ * Extract the data of a packet from the bytes received so far.
+ * @param {Buffer} buffer - The received bytes, starting at the beginning of the packet.
+ * @returns {?Buffer} The packet's data, or null if the packet has not been received completely yet.
+ * @throws {Error} If the bytes do not start with a valid header.
+ */
+function unframe(buffer) {
+	if (!hasHeader(buffer)) {
+		throw new Error('Invalid Zabbix protocol header');
+	}
+	if (buffer.length < HEADER_LENGTH) {
+		return null;
+	}
+	var dataLength = buffer.readUInt32LE(HEADER.length);
+	if (buffer.length < HEADER_LENGTH + dataLength) {
+		return null;
+	}
+	return buffer.slice(HEADER_LENGTH, HEADER_LENGTH + dataLength);
+}
+
+module.exports.frame = frame;
+module.exports.hasHeader = hasHeader;
+module.exports.unframe = unframe;
@@ -4,13 +4,32 @@ var PM2Tracker = require('./lib/PM2Tracker');
 var ZabbixDataProvider = require('./lib/ZabbixDataProvider');
 var PM2ZabbixMonitor = require('./lib/PM2ZabbixMonitor');
 
-var ZabbixSender = require('zabbix-sender');
+var ZabbixNativeSender = require('./lib/ZabbixNativeSender');
+var ZabbixAgentListener = require('./lib/ZabbixAgentListener');
+var PrometheusSink = require('./lib/PrometheusSink');
+var StatsDSink = require('./lib/StatsDSink');
+var OfflineQueue = require('./lib/OfflineQueue');
+var ProcessFilter = require('./lib/ProcessFilter');
+var ErrorLogCollector = require('./lib/ErrorLogCollector');
+var ValueThrottle = require('./lib/ValueThrottle');
+var TemplateGenerator = require('./lib/TemplateGenerator');
+var config = require('./lib/config');
 var minimist = require('minimist');
+var when = require('when');
 var os = require('os');
+var path = require('path');
 var bunyan = require('bunyan');
 
-var argv = minimist(process.argv.slice(2));
+// Versions such as "6.0" must not be turned into numbers. Options taking names, addresses or paths are strings, too,
+//  so that a missing value is an empty string (and caught by the validation in loadSettings()) rather than true.
+var argv = minimist(process.argv.slice(2), {
+	string: [ 'zabbix-version', 'get', 'config', 'server', 'hostname', 'transport', 'identity', 'pm2-home', 'queue-file', 'statsd', 'agent-servers' ]
+});
 var hostname = os.hostname();
+// As a PM2 module, pm2-zabbix is started by PM2 (see "apps" in package.json) and has nothing to do but monitoring.
+if (argv['pm2-module']) {
+	argv.monitor = true;
+}
 
 if (argv.help || argv.usage) {
 	console.log('# PM2 monitoring tool for Zabbix');
@@ -20,15 +39,45 @@ if (argv.help || argv.usage) {
 	console.log('\t--monitor - enable sending of updates to Zabbix via zabbix_sender');
 	console.log('\t--discover - instead of running constantly, print JSON in Zabbix discovery format and exit');
 	console.log('\t  (This is typically used as the command part for the pm2.processes UserParameter.)');
+	console.log('\t--discover=metrics - like --discover, but print the custom metrics (pmx/@pm2/io probes) of all processes instead');
+	console.log('\t  (This is used for the pm2.metrics and pm2.metrics.text UserParameters.)');
+	console.log('\t--discover=apps - like --discover, but print the applications (processes grouped by name) instead, for the pm2.apps UserParameter');
+	console.log('\t--get=<key> - instead of running constantly, print the current value of a single item, such as "pm2.processes[api-0,memory]", and exit');
+	console.log('\t  (This is used for UserParameters on hosts that do not run the monitoring daemon. Unknown or unsupported keys print ZBX_NOTSUPPORTED.)');
+	console.log('\t--agent-port=<port> - also answer Zabbix passive checks on <port>, like the Zabbix agent, without the need for UserParameters');
+	console.log('\t--agent-servers=<address>[,...] - the Zabbix servers allowed to connect to --agent-port: addresses, IPv4 CIDR ranges or host names (default: 127.0.0.1,::1)');
+	console.log('\t--prometheus-port=<port> - in monitor mode, also serve the collected metrics to Prometheus at http://<host>:<port>/metrics');
+	console.log('\t--statsd[=[<host>][:<port>]] - in monitor mode, also send the collected metrics to a StatsD server (default: 127.0.0.1:8125)');
+	console.log('\t--push-discovery - in monitor mode, also send discovery data to the pm2.processes key as a trapper item');
+	console.log('\t  (This requires the discovery rule on the server to be of type "Zabbix trapper", and removes the need for the UserParameter.)');
+	console.log('\t--export-template - instead of running constantly, print the Zabbix template matching the items that pm2-zabbix sends, and exit');
+	console.log('\t  --format=<xml|yaml> - the template format (default: xml; YAML requires Zabbix 6.0)');
+	console.log('\t  --zabbix-version=<3.0|5.0|6.0> - the Zabbix version to generate the template for (default: 3.0)');
+	console.log('\t  (With --push-discovery, the discovery rules are of the "Zabbix trapper" type.)');
 	console.log('\t--hostname=<hostname> - Use <hostname> instead of the system\'s hostname');
 	console.log('\t--server=<server> - Connect to Zabbix at <server> instead of the default 127.0.0.1');
+	console.log('\t--transport=<binary|native> - How to send data to Zabbix: via the zabbix_sender binary (default) or directly over TCP');
+	console.log('\t  (Only the native transport passes on when values were collected - with zabbix_sender, Zabbix records status changes and queued data');
+	console.log('\t  at the time they arrive.)');
+	console.log('\t--port=<port> - Trapper port of the Zabbix server, used by the native transport (default: 10051)');
+	console.log('\t--pm2-home=<[name=]path>[,...] - Monitor the PM2 instances in the given home directories instead of the current user\'s one');
+	console.log('\t  (Each instance is named after its directory\'s owner, e.g. "alice" for /home/alice/.pm2, unless given as name=path.)');
+	console.log('\t--identity=<pm_id|instance|ordinal> - how to name processes: by pm_id (default), or by instance number or position within the app,');
+	console.log('\t  which stay the same when an app is deleted and started again (use the same option in the UserParameters of the Zabbix Agent)');
+	console.log('\t--forward-errors - in monitor mode, forward error output and exceptions of processes to Zabbix (see errorLog in the configuration file for tuning)');
+	console.log('\t--throttle - in monitor mode, only send values that have changed, and resend unchanged ones every 5 minutes (see throttle in the configuration file for tuning)');
+	console.log('\t--queue-file=<file> - in monitor mode, keep data that could not be sent to Zabbix in <file>, so that it survives restarts (see queue in the configuration file)');
+	console.log('\t--no-queue - in monitor mode, drop data that could not be sent to Zabbix instead of sending it later');
+	console.log('\t--config=<file> - Read settings from a JSON or YAML configuration file (reloaded on SIGHUP); command-line options take precedence');
+	console.log('\t--pm2-module - run as a PM2 module (pm2 install pm2-zabbix): monitor, taking settings from "pm2 set pm2-zabbix:<setting> <value>",');
+	console.log('\t  and leave pm2-zabbix itself out of the monitored processes');
 	console.log('\t--debug - Enable printing of console messages at runtime');
 	process.exit(0);
 }
 
 // If we're going to output JSON, we don't want to mix it with log output.
 // This means we need to push the logs elsewhere.
-var usesOutputMode = (argv.discover);
+var usesOutputMode = (argv.discover || argv.get !== undefined || argv['export-template']);
 var logger = bunyan.createLogger({
 	name: 'pm2-zabbix',
 	level: process.env.LOG_LEVEL || 'warn',
@@ -36,29 +85,550 @@ var logger = bunyan.createLogger({
 	stream: usesOutputMode ? process.stderr : process.stdout
 });
 
-var sender = new ZabbixSender({
-	hostname: argv.hostname || hostname,
-	server: argv.server || undefined,
-	logger: logger
-});
-var tracker = new PM2Tracker();
-var provider = new ZabbixDataProvider(sender);
-var monitor = new PM2ZabbixMonitor(tracker, provider, {
-	monitor: argv.monitor,
-	debug: argv.debug,
-	logger: logger
-});
+/**
+ * Options that may be given both on the command line and in the configuration file, mapped to their names in the configuration file.
+ * @type {Object.<string,string>}
+ */
+var COMMAND_LINE_SETTINGS = {
+	'server': 'server',
+	'port': 'port',
+	'hostname': 'hostname',
+	'transport': 'transport',
+	'push-discovery': 'pushDiscovery',
+	'identity': 'identity'
+};
+
+/**
+ * The name that PM2 runs pm2-zabbix under when it is a PM2 module. PM2 passes each process its name in the environment.
+ * @type {string}
+ */
+var MODULE_NAME = process.env.name || 'pm2-zabbix';
+
+/**
+ * Load the configuration file (if given with --config) and the PM2 module configuration (with --pm2-module), and apply command-line options on top of them.
+ * @returns {Object} The effective settings, named as in the configuration file.
+ * @throws {Error} If the configuration file cannot be loaded, or the configuration or a command-line option is invalid.
+ */
+function loadSettings() {
+	var settings = (argv.config !== undefined) ? config.load(argv.config) : {};
+	if (argv['pm2-module']) {
+		// PM2 passes the module's settings (made with "pm2 set") as JSON in a variable named after the module.
+		Object.assign(settings, config.loadModule(process.env[MODULE_NAME]));
+	}
+	// Command-line options take precedence over the configuration file.
+	Object.keys(COMMAND_LINE_SETTINGS).forEach(function(optionName) {
+		if (argv[optionName] !== undefined) {
+			settings[COMMAND_LINE_SETTINGS[optionName]] = argv[optionName];
+		}
+	});
+	if (argv['pm2-home'] !== undefined) {
+		settings.pm2Homes = [].concat(argv['pm2-home']);
+	}
+	if (argv['forward-errors'] !== undefined) {
+		settings.errorLog = Object.assign({}, settings.errorLog, { enabled: Boolean(argv['forward-errors']) });
+	}
+	if (argv['queue-file'] !== undefined) {
+		settings.queue = Object.assign({}, settings.queue, { file: argv['queue-file'] });
+	}
+	if (argv.queue !== undefined) {
+		settings.queue = Object.assign({}, settings.queue, { enabled: Boolean(argv.queue) });
+	}
+	if (argv.throttle !== undefined) {
+		settings.throttle = Object.assign({}, settings.throttle, { enabled: Boolean(argv.throttle) });
+	}
+	if (argv['agent-port'] !== undefined) {
+		// Ports are left as parsed, so that anything but a number is reported below.
+		settings.agent = Object.assign({}, settings.agent, { enabled: true, port: argv['agent-port'] });
+	}
+	if (argv['prometheus-port'] !== undefined) {
+		settings.prometheus = Object.assign({}, settings.prometheus, { enabled: true, port: argv['prometheus-port'] });
+	}
+	if (argv.statsd !== undefined) {
+		// The host and port each fall back to the configuration (or the defaults) if left out.
+		var statsdAddress = /^(.*?)(?::(\d+))?$/.exec(argv.statsd);
+		var statsdOverrides = { enabled: true };
+		if (statsdAddress[1]) {
+			statsdOverrides.host = statsdAddress[1];
+		}
+		if (statsdAddress[2]) {
+			statsdOverrides.port = Number(statsdAddress[2]);
+		}
+		settings.statsd = Object.assign({}, settings.statsd, statsdOverrides);
+	}
+	if (argv['agent-servers'] !== undefined) {
+		settings.agent = Object.assign({}, settings.agent, { allowedServers: [].concat(argv['agent-servers']).join(',').split(',') });
+	}
+
+	var problems = config.validate(settings);
+	if (problems.length > 0) {
+		throw new Error('Invalid settings: ' + problems.join('; '));
+	}
+	return settings;
+}
+
+/**
+ * Create the object that sends data to Zabbix, according to the selected transport.
+ * @param {Object} settings - The effective settings, as returned by loadSettings().
+ * @returns {(external:ZabbixSender|ZabbixNativeSender)}
+ * @throws {Error} If the transport is unknown.
+ */
+function createSender(settings) {
+	var transport = settings.transport || 'binary';
+	if (transport === 'native') {
+		return new ZabbixNativeSender({
+			hostname: settings.hostname || hostname,
+			server: settings.server || undefined,
+			port: settings.port || undefined,
+			logger: logger
+		});
+	}
+	else if (transport === 'binary') {
+		// Only load the binary wrapper when it is actually used, so that hosts without zabbix_sender can use the native transport.
+		var ZabbixSender = require('zabbix-sender');
+		return new ZabbixSender({
+			hostname: settings.hostname || hostname,
+			server: settings.server || undefined,
+			logger: logger
+		});
+	}
+	throw new Error('Unknown transport "' + transport + '" - use "binary" or "native"');
+}
+
+/**
+ * Check whether error output should be forwarded to Zabbix.
+ * @param {Object} settings - The effective settings, as returned by loadSettings().
+ * @returns {boolean}
+ */
+function isErrorLogEnabled(settings) {
+	return Boolean(argv.monitor && settings.errorLog && settings.errorLog.enabled);
+}
+
+/**
+ * Create the queue for data that could not be sent, unless it has been disabled. It is only needed in monitor mode.
+ * @param {Object} settings - The effective settings, as returned by loadSettings().
+ * @returns {?OfflineQueue}
+ */
+function createQueue(settings) {
+	var queueSettings = settings.queue || {};
+	if (!argv.monitor || queueSettings.enabled === false) {
+		return null;
+	}
+	return new OfflineQueue({
+		maxSize: queueSettings.maxSize,
+		maxAge: queueSettings.maxAge,
+		file: queueSettings.file,
+		logger: logger
+	});
+}
+
+/**
+ * Create the sinks that get the collected values besides Zabbix, as enabled in the settings. Values are only collected in monitor mode.
+ * @param {Object} settings - The effective settings, as returned by loadSettings().
+ * @returns {Sink[]}
+ */
+function createSinks(settings) {
+	var sinks = [];
+	if (!argv.monitor) {
+		return sinks;
+	}
+	if (settings.prometheus && settings.prometheus.enabled) {
+		sinks.push(new PrometheusSink({
+			port: settings.prometheus.port,
+			listenIP: settings.prometheus.listenIP,
+			path: settings.prometheus.path,
+			expireAfter: settings.prometheus.expireAfter,
+			logger: logger
+		}));
+	}
+	if (settings.statsd && settings.statsd.enabled) {
+		sinks.push(new StatsDSink({
+			host: settings.statsd.host,
+			port: settings.statsd.port,
+			prefix: settings.statsd.prefix,
+			tags: settings.statsd.tags,
+			logger: logger
+		}));
+	}
+	return sinks;
+}
+
+/**
+ * Check whether passive checks should be answered over TCP. This is not done in the one-shot modes (--discover, --get).
+ * @param {Object} settings - The effective settings, as returned by loadSettings().
+ * @returns {boolean}
+ */
+function isAgentEnabled(settings) {
+	return Boolean(!argv.discover && argv.get === undefined && settings.agent && settings.agent.enabled);
+}
+
+/**
+ * Create the filter that selects the processes to monitor. As a PM2 module, pm2-zabbix is one of the processes that PM2 manages, and leaves itself out.
+ * @param {Object} settings - The effective settings, as returned by loadSettings().
+ * @returns {(ProcessFilter|undefined)} The filter, or undefined if all processes are monitored.
+ */
+function createProcessFilter(settings) {
+	var filters = settings.filters;
+	if (argv['pm2-module']) {
+		filters = Object.assign({}, filters, { exclude: ((filters && filters.exclude) || []).concat(MODULE_NAME) });
+	}
+	return filters ? new ProcessFilter(filters) : undefined;
+}
+
+/**
+ * Reuse an object that a monitor has been running with if the settings it has been made from have not changed, or make a new one.
+ * @param {?{options: Object, settings: Object}} previous - The options the monitor has been running with, and the settings they have been built from. Null if there are none.
+ * @param {string} optionName - The monitor option holding the object, e.g. "valueThrottle".
+ * @param {string} settingName - The settings the object is made from, e.g. "throttle".
+ * @param {Object} settings - The new effective settings.
+ * @param {function(): Object} create - Makes a new object out of the new settings.
+ * @returns {Object}
+ */
+function reuseOrCreate(previous, optionName, settingName, settings, create) {
+	if (previous && previous.options[optionName] && JSON.stringify(previous.settings[settingName]) === JSON.stringify(settings[settingName])) {
+		return previous.options[optionName];
+	}
+	return create();
+}
+
+/**
+ * Build the options for a PM2ZabbixMonitor out of the effective settings.
+ * Each monitor gets an error log collector and a value throttle of its own, since these keep their records by process ID, which is only unique within one PM2 instance.
+ *  When reloading, a monitor keeps them unless their settings have changed, so that pending error counts and the record of values sent are not lost.
+ * @param {Object} settings - The effective settings, as returned by loadSettings().
+ * @param {{options: Object, settings: Object}} [previous] - When reloading, the options the monitor has been running with, and the settings they have been built from.
+ * @returns {Object}
+ */
+function getMonitorOptions(settings, previous) {
+	return {
+		monitor: argv.monitor,
+		pushDiscovery: settings.pushDiscovery,
+		processListInterval: settings.processListInterval,
+		processManagerInterval: settings.processManagerInterval,
+		discoveryInterval: settings.discoveryInterval,
+		statusUpdateDelay: settings.statusUpdateDelay,
+		deletedGracePeriod: settings.deletedGracePeriod,
+		processFilter: createProcessFilter(settings),
+		errorLogCollector: isErrorLogEnabled(settings) ? reuseOrCreate(previous, 'errorLogCollector', 'errorLog', settings, function() {
+			return new ErrorLogCollector(settings.errorLog);
+		}) : undefined,
+		errorCountInterval: settings.errorLog ? settings.errorLog.interval : undefined,
+		sinks: sinks,
+		valueThrottle: (settings.throttle && settings.throttle.enabled) ? reuseOrCreate(previous, 'valueThrottle', 'throttle', settings, function() {
+			return new ValueThrottle(settings.throttle);
+		}) : undefined,
+		crashLoopWindow: settings.crashLoop ? settings.crashLoop.window : undefined,
+		crashLoopRestarts: settings.crashLoop ? settings.crashLoop.restarts : undefined,
+		debug: argv.debug,
+		logger: logger
+	};
+}
+
+/**
+ * Parse the --pm2-home option into a list of PM2 instances to monitor.
+ * Each home may be given as "<path>" or "<name>=<path>"; several homes are separated by commas or given as repeated options (or as a list in the configuration file).
+ * Without an explicit name, the instance is named after the directory - or, for the usual "~/.pm2", after its parent (the user's home).
+ * @param {(string|string[])} option - The raw option value(s).
+ * @returns {Array.<{name: string, home: string}>}
+ */
+function parsePM2Homes(option) {
+	var specifications = [].concat(option).join(',').split(',').filter(function(specification) {
+		return specification.trim() !== '';
+	});
+	return specifications.map(function(specification) {
+		var separatorIndex = specification.indexOf('=');
+		var home = path.resolve(separatorIndex >= 0 ? specification.slice(separatorIndex + 1) : specification);
+		var name = (separatorIndex >= 0) ? specification.slice(0, separatorIndex) : path.basename(home);
+		if (separatorIndex < 0 && name === '.pm2') {
+			name = path.basename(path.dirname(home));
+		}
+		return { name: name, home: home };
+	});
+}
+
+/**
+ * Get the current value of an item from the monitors.
+ * Each monitor is asked in turn, since only the one watching the process, application or PM2 instance named in the key knows its value.
+ * @param {string} key - The item key.
+ * @returns {Promise} A promise which fulfills with the value, or with undefined if no monitor knows the key.
+ */
+function getValue(key) {
+	return when.reduce(monitors, function(value, monitor) {
+		return (value !== undefined) ? value : monitor.getValue(key);
+	}, undefined);
+}
+
+/**
+ * Print the current value of an item for a Zabbix agent passive check (--get), and exit.
+ * If the value cannot be obtained, "ZBX_NOTSUPPORTED" is printed along with the reason, which makes the agent mark the item as not supported.
+ * @param {string} key - The item key.
+ */
+function printValue(key) {
+	getValue(key).then(function(value) {
+		if (value === undefined) {
+			throw new Error('No such process, application, metric or PM2 instance: ' + key);
+		}
+		return value;
+	}).done(function(value) {
+		process.stdout.write(String(value) + '\n');
+		process.exit(0);
+	}, function(error) {
+		logger.error({ event: 'pm2-zabbix#getError', key: key, error: error }, 'Could not get %s: %s', key, error.message);
+		// The agent reads "ZBX_NOTSUPPORTED", optionally followed by a NUL character and a reason, as an unsupported item.
+		process.stdout.write('ZBX_NOTSUPPORTED\u0000' + error.message + '\n');
+		process.exit(1);
+	});
+}
+
+var settings;
+var sender;
+try {
+	settings = loadSettings();
+	// Exporting the template and querying single items do not talk to Zabbix, so they should not depend on the transport being usable.
+	if (!argv['export-template'] && argv.get === undefined) {
+		sender = createSender(settings);
+	}
+}
+catch (error) {
+	logger.fatal({ event: 'pm2-zabbix#configurationError', error: error }, error.message);
+	process.exit(1);
+}
+
+/**
+ * Warn that the transport drops the times at which values were collected, which matters in monitor mode.
+ * @param {(external:ZabbixSender|ZabbixNativeSender)} currentSender - The sender in use.
+ */
+function warnAboutTimestamps(currentSender) {
+	if (argv.monitor && currentSender && !currentSender.acceptsTimestamps) {
+		logger.warn({ event: 'pm2-zabbix#timestampsNotSupported' }, 'zabbix_sender does not get the times at which values were collected: Zabbix records status changes and queued data at the time they arrive - use "transport: native" to keep them');
+	}
+}
+warnAboutTimestamps(sender);
+
+if (argv['export-template']) {
+	try {
+		var generator = new TemplateGenerator({ zabbixVersion: argv['zabbix-version'], pushDiscovery: settings.pushDiscovery });
+		process.stdout.write(generator.generate(argv.format));
+	}
+	catch (error) {
+		logger.fatal({ event: 'pm2-zabbix#templateError', error: error }, error.message);
+		process.exit(1);
+	}
+	process.exit(0);
+}
+
+var provider = new ZabbixDataProvider(sender, [], { logger: logger });
+// The sinks are shared by all monitors, and kept when the configuration is reloaded.
+var sinks = createSinks(settings);
+/**
+ * The queue of data that could not be sent, if enabled.
+ * @type {?OfflineQueue}
+ */
+var queue = createQueue(settings);
+provider.setQueue(queue);
+var monitors;
+/**
+ * The options each monitor runs with, in the same order as the monitors.
+ * @type {Object[]}
+ */
+var monitorOptions;
+if (settings.pm2Homes) {
+	var instances = parsePM2Homes(settings.pm2Homes);
+	var seenNames = {};
+	instances.forEach(function(instance) {
+		if (seenNames[instance.name]) {
+			logger.fatal({ event: 'pm2-zabbix#duplicateInstanceName', instance: instance }, 'Two PM2 homes resolve to the same instance name "%s" - name them explicitly using name=path', instance.name);
+			process.exit(1);
+		}
+		seenNames[instance.name] = true;
+	});
+	// One tracker and monitor per PM2 home, all reporting via the same data provider, so that discovery data is combined.
+	// Items about pm2-zabbix itself, and the combined discovery data, are sent by the first monitor only.
+	monitors = [];
+	monitorOptions = [];
+	instances.forEach(function(instance, index) {
+		var instanceOptions = Object.assign(getMonitorOptions(settings), { instance: instance.name, reportSelf: (index === 0), discoveryPusher: monitors[0] });
+		monitorOptions.push(instanceOptions);
+		monitors.push(new PM2ZabbixMonitor(new PM2Tracker({ pm2Home: instance.home, errorEvents: isErrorLogEnabled(settings), identity: settings.identity }), provider, instanceOptions));
+	});
+}
+else {
+	monitorOptions = [ Object.assign(getMonitorOptions(settings), { reportSelf: true }) ];
+	monitors = [ new PM2ZabbixMonitor(new PM2Tracker({ errorEvents: isErrorLogEnabled(settings), identity: settings.identity }), provider, monitorOptions[0]) ];
+}
+
+// On SIGHUP, re-read the configuration and apply it without restarting. If the new configuration is invalid, the old one stays in effect.
+if (argv.monitor) {
+	process.on('SIGHUP', function() {
+		var newSettings;
+		var newSender;
+		try {
+			newSettings = loadSettings();
+			newSender = createSender(newSettings);
+		}
+		catch (error) {
+			logger.error({ event: 'pm2-zabbix#reloadError', error: error }, 'Configuration not reloaded: %s', error.message);
+			return;
+		}
+		if (JSON.stringify(newSettings.pm2Homes) !== JSON.stringify(settings.pm2Homes)) {
+			logger.warn({ event: 'pm2-zabbix#pm2HomesChanged' }, 'The list of PM2 homes cannot be changed by reloading - restart pm2-zabbix to apply it');
+		}
+		if (isErrorLogEnabled(newSettings) && !isErrorLogEnabled(settings)) {
+			logger.warn({ event: 'pm2-zabbix#errorLogEnabled' }, 'Error log forwarding cannot be enabled by reloading - restart pm2-zabbix to apply it');
+		}
+		if (newSettings.identity !== settings.identity) {
+			logger.warn({ event: 'pm2-zabbix#identityChanged' }, 'The process identity cannot be changed by reloading - restart pm2-zabbix to apply it');
+		}
+		if (JSON.stringify(newSettings.agent) !== JSON.stringify(settings.agent)) {
+			logger.warn({ event: 'pm2-zabbix#agentChanged' }, 'Agent listener settings cannot be changed by reloading - restart pm2-zabbix to apply them');
+		}
+		if (JSON.stringify(newSettings.prometheus) !== JSON.stringify(settings.prometheus) || JSON.stringify(newSettings.statsd) !== JSON.stringify(settings.statsd)) {
+			logger.warn({ event: 'pm2-zabbix#sinksChanged' }, 'Prometheus and StatsD settings cannot be changed by reloading - restart pm2-zabbix to apply them');
+		}
+		if (JSON.stringify(newSettings.queue) !== JSON.stringify(settings.queue)) {
+			logger.warn({ event: 'pm2-zabbix#queueChanged' }, 'Queue settings cannot be changed by reloading - restart pm2-zabbix to apply them');
+		}
+		var oldSettings = settings;
+		settings = newSettings;
+		provider.setSender(newSender);
+		warnAboutTimestamps(newSender);
+		monitors.forEach(function(monitor, index) {
+			monitorOptions[index] = getMonitorOptions(newSettings, { options: monitorOptions[index], settings: oldSettings });
+			monitor.reconfigure(monitorOptions[index]);
+		});
+		logger.info({ event: 'pm2-zabbix#reloaded' }, 'Configuration reloaded');
+	});
+}
+
+/**
+ * The listener answering passive checks, if enabled.
+ * @type {?ZabbixAgentListener}
+ */
+var listener = null;
+
+/**
+ * How long (ms) to wait for a graceful shutdown to complete.
+ * @type {number}
+ */
+var SHUTDOWN_TIMEOUT = 10000;
+
+/**
+ * Shut down gracefully: stop the monitors (which flushes pending data, reports the "stopped" status and disconnects from PM2),
+ *  the agent listener and the sinks, and write the queue file, then exit. If this takes longer than SHUTDOWN_TIMEOUT, or another signal arrives meanwhile, exit right away.
+ * @param {string} signal - The name of the signal received.
+ */
+function shutDown(signal) {
+	if (shutDown.inProgress) {
+		logger.warn({ event: 'pm2-zabbix#forcedExit', signal: signal }, 'Received %s again - exiting without waiting', signal);
+		process.exit(1);
+	}
+	shutDown.inProgress = true;
+	logger.info({ event: 'pm2-zabbix#stopping', signal: signal }, 'Received %s - shutting down', signal);
+	when.all(monitors.map(function(monitor) {
+		return monitor.stop();
+	}).concat(listener ? [ listener.close() ] : [])).then(function() {
+		// Sinks are closed last, so that they get the final values. The final values may have been queued, too.
+		return when.all(sinks.map(function(sink) {
+			return sink.close();
+		}).concat(queue ? [ queue.flush() ] : []));
+	}).timeout(SHUTDOWN_TIMEOUT).done(function() {
+		logger.info({ event: 'pm2-zabbix#stopped' }, 'Shut down');
+		process.exit(0);
+	}, function(error) {
+		logger.error({ event: 'pm2-zabbix#shutdownError', error: error }, 'Could not shut down cleanly: %s', error.message);
+		process.exit(1);
+	});
+}
+
+if (argv.monitor || isAgentEnabled(settings)) {
+	process.on('SIGTERM', function() {
+		shutDown('SIGTERM');
+	});
+	process.on('SIGINT', function() {
+		shutDown('SIGINT');
+	});
+}
+
+/**
+ * How long (ms) to wait for the PM2 daemon's PID to disappear after the module has lost its connection to the daemon.
+ * @type {number}
+ */
+var DAEMON_EXIT_DELAY = 1000;
+
+// PM2 stops its processes with SIGINT, but if its God Daemon dies without doing so (e.g. when killed), the module is left running
+//  on its own, and only notices that the IPC channel to its parent is gone. The daemon's status is then reported one last time - found
+//  "offline" by the PID file check - before exiting, since the next daemon starts a module of its own.
+if (argv['pm2-module']) {
+	process.on('disconnect', function() {
+		if (shutDown.inProgress) {
+			return;
+		}
+		// Output went to the daemon, and so did the messages of PM2's instrumentation, which would throw from now on.
+		// Neither must crash the process before it has reported.
+		[ process.stdout, process.stderr ].forEach(function(stream) {
+			stream.on('error', function() {});
+		});
+		process.send = function() {
+			return false;
+		};
+		logger.warn({ event: 'pm2-zabbix#daemonLost' }, 'Lost the connection to the PM2 daemon running this module - reporting its status and shutting down');
+		// The channel closes as the daemon exits, which may be a moment before its PID is gone, so the check waits a little.
+		when().delay(DAEMON_EXIT_DELAY).then(function() {
+			return when.all(monitors.map(function(monitor) {
+				return monitor.sendPM2Status();
+			}));
+		}).timeout(SHUTDOWN_TIMEOUT).done(function() {
+			shutDown('disconnect');
+		}, function(error) {
+			logger.error({ event: 'pm2-zabbix#daemonStatusError', error: error }, 'Could not report the PM2 daemon\'s status: %s', error.message);
+			shutDown('disconnect');
+		});
+	});
+}
+
+when.all(monitors.map(function(monitor) {
+	return monitor.start();
+})).done(function() {
+	if (argv.get !== undefined) {
+		printValue(argv.get);
+		return;
+	}
 
-monitor.start().done(function() {
 	if (argv.discover) {
-		var discoveryData = provider.getDiscoveryData();
+		// A bare --discover prints the process list; --discover=<list> selects another discovery list, such as "metrics".
+		var discoveryData = provider.getDiscoveryData(argv.discover === true ? undefined : String(argv.discover));
 		process.stdout.write(JSON.stringify(discoveryData, null, '\t'));
 		process.exit(0);
 		return;
 	}
 
+	sinks.forEach(function(sink) {
+		// Sinks that are scraped, such as the Prometheus exporter, have to listen.
+		if (typeof sink.listen === 'function') {
+			sink.listen().done(null, function(error) {
+				logger.fatal({ event: 'pm2-zabbix#sinkListenError', error: error }, 'Could not listen for metric scrapes: %s', error.message);
+				process.exit(1);
+			});
+		}
+	});
+
+	if (isAgentEnabled(settings)) {
+		var agentSettings = settings.agent;
+		listener = new ZabbixAgentListener(getValue, {
+			port: agentSettings.port,
+			listenIP: agentSettings.listenIP,
+			allowedServers: agentSettings.allowedServers,
+			timeout: agentSettings.timeout,
+			logger: logger
+		});
+		listener.listen().done(null, function(error) {
+			logger.fatal({ event: 'pm2-zabbix#agentListenError', error: error }, 'Could not listen for passive checks: %s', error.message);
+			process.exit(1);
+		});
+		return;
+	}
+
 	if (!argv.discover && !argv.monitor) {
-		logger.warn({ event: 'pm2-zabbix#noWork', argv: process.argv }, 'Neither --discover nor --monitor was specified - exiting because we have nothing to do');
+		logger.warn({ event: 'pm2-zabbix#noWork', argv: process.argv }, 'Neither --discover, --get, --monitor nor --agent-port was specified - exiting because we have nothing to do');
 		process.exit(0);
 		return;
 	}
@@ -0,0 +1,154 @@
+/**
+ * Tests of ZabbixNativeSender against a fake Zabbix trapper listening on a local port. Run with "npm test".
+ */
+var assert = require('assert');
+var net = require('net');
+
+var ZabbixNativeSender = require('../lib/ZabbixNativeSender');
+var zabbixProtocol = require('../lib/zabbixProtocol');
+
+/**
+ * Start a fake trapper that reads one packet per connection and answers it.
+ * @param {function(Buffer): Object} respond - Gets the raw packet received, and returns the response object to send back.
+ * @param {function(?Error, net.Server)} callback - Called once the server is listening.
+ */
+function startTrapper(respond, callback) {
+	// The sender half-closes the connection after writing its request, and then waits for the response.
+	var server = net.createServer({ allowHalfOpen: true }, function(socket) {
+		var chunks = [];
+		socket.on('data', function(chunk) {
+			chunks.push(chunk);
+			var packet = Buffer.concat(chunks);
+			if (zabbixProtocol.unframe(packet)) {
+				socket.end(zabbixProtocol.frame(JSON.stringify(respond(packet))));
+			}
+		});
+	});
+	server.listen(0, '127.0.0.1', function() {
+		callback(null, server);
+	});
+}
+
+/**
+ * Create a sender for the fake trapper.
+ * @param {net.Server} server - The listening trapper.
+ * @returns {ZabbixNativeSender}
+ */
+function createSender(server) {
+	return new ZabbixNativeSender({ hostname: 'web1', server: '127.0.0.1', port: server.address().port, timeout: 2000 });
+}
+
+var tests = [
+	function framesPackets(done) {
+		var packet = zabbixProtocol.frame('{"a":1}');
+		assert.strictEqual(packet.slice(0, 5).toString('binary'), 'ZBXD\x01');
+		assert.strictEqual(packet.readUInt32LE(5), 7);
+		assert.strictEqual(packet.readUInt32LE(9), 0);
+		assert.strictEqual(zabbixProtocol.unframe(packet).toString(), '{"a":1}');
+		assert.strictEqual(zabbixProtocol.unframe(packet.slice(0, packet.length - 1)), null);
+		assert.throws(function() {
+			zabbixProtocol.unframe(Buffer.from('HTTP/1.1 400'));
+		});
+		done();
+	},
+
+	function sendsAFramedRequest(done) {
+		var received = null;
+		startTrapper(function(packet) {
+			received = packet;
+			return { response: 'success', info: 'processed: 2; failed: 0; total: 2; seconds spent: 0.000055' };
+		}, function(error, server) {
+			createSender(server).send({ 'pm2.status': 'online', 'pm2.memory': 1024 }, function(sendError) {
+				server.close();
+				assert.ifError(sendError);
+				assert.strictEqual(received.slice(0, 5).toString('binary'), 'ZBXD\x01');
+				assert.strictEqual(received.readUInt32LE(5), received.length - 13);
+				var request = JSON.parse(received.slice(13).toString('utf-8'));
+				assert.strictEqual(request.request, 'sender data');
+				assert.deepStrictEqual(request.data, [
+					{ host: 'web1', key: 'pm2.status', value: 'online' },
+					{ host: 'web1', key: 'pm2.memory', value: '1024' }
+				]);
+				done();
+			});
+		});
+	},
+
+	function reportsTheCountsOnSuccess(done) {
+		startTrapper(function() {
+			return { response: 'success', info: 'processed: 2; failed: 0; total: 2; seconds spent: 0.000055' };
+		}, function(error, server) {
+			createSender(server).send([ { key: 'pm2.status', value: 'online', clock: 1500000000, ns: 5 } ], function(sendError, result) {
+				server.close();
+				assert.ifError(sendError);
+				assert.deepStrictEqual(result, { processed: 2, failed: 0, total: 2, secondsSpent: 0.000055 });
+				done();
+			});
+		});
+	},
+
+	function rejectsWithTheCountsOnPartialFailure(done) {
+		startTrapper(function() {
+			return { response: 'success', info: 'processed: 1; failed: 1; total: 2; seconds spent: 0.000041' };
+		}, function(error, server) {
+			createSender(server).send({ 'pm2.status': 'online', 'pm2.unknown': 1 }, function(sendError, result) {
+				server.close();
+				assert.ok(sendError instanceof Error);
+				assert.strictEqual(result, undefined);
+				assert.deepStrictEqual(sendError.result, { processed: 1, failed: 1, total: 2, secondsSpent: 0.000041 });
+				done();
+			});
+		});
+	},
+
+	function rejectsWhenTheServerIsNotListening(done) {
+		// Take a free port, and stop listening on it again.
+		startTrapper(function() {
+			return {};
+		}, function(error, server) {
+			var sender = createSender(server);
+			server.close(function() {
+				sender.send({ 'pm2.status': 'online' }, function(sendError) {
+					assert.ok(sendError instanceof Error);
+					assert.strictEqual(sendError.code, 'ECONNREFUSED');
+					assert.strictEqual(sendError.result, undefined);
+					done();
+				});
+			});
+		});
+	}
+];
+
+/**
+ * Run the tests one after another, and exit with a non-zero code on the first failure.
+ * @param {number} index - The test to run.
+ */
+function runTest(index) {
+	if (index >= tests.length) {
+		console.log('All %d tests passed', tests.length);
+		return;
+	}
+	var test = tests[index];
+	var timer = setTimeout(function() {
+		console.error('not ok - %s: timed out', test.name);
+		process.exit(1);
+	}, 5000);
+	try {
+		test(function() {
+			clearTimeout(timer);
+			console.log('ok - %s', test.name);
+			runTest(index + 1);
+		});
+	}
+	catch (error) {
+		console.error('not ok - %s: %s', test.name, error.stack);
+		process.exit(1);
+	}
+}
+
+process.on('uncaughtException', function(error) {
+	console.error('not ok - %s', error.stack);
+	process.exit(1);
+});
+
+runTest(0);